@@ -0,0 +1,185 @@
+// What it does
+
+// File side of the documents API (server.js /documents routes):
+// validates document paths, writes/deletes files in the data directory and
+// lists what is there together with its index state (from the manifest).
+
+// Indexing itself stays in buildIndex({ sources: [source] }), so only the
+// affected document is re-chunked and re-embedded.
+
+// Path rules (uploads and :source):
+
+// relative to the data directory, "/" separated
+
+// no "..", ".", hidden (".env") or empty segments, no absolute paths
+
+// extension must be one of the indexed formats (DEFAULT_EXTS)
+
+// the resolved path must stay inside the data directory
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { glob } from "glob";
+import { DEFAULT_EXTS } from "./loadDocs.js";
+import { DEFAULT_MANIFEST_PATH, loadManifest } from "./recordManager.js";
+
+const MAX_PATH_LENGTH = 512;
+
+function badRequest(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function toSource(file) {
+  return file.split(path.sep).join("/");
+}
+
+/**
+ * Validates a document path relative to the data directory.
+ * Returns { file, source, ext } (file is cwd-relative, source is what the
+ * index stores and citations show, e.g. "data/policies/refunds.md").
+ */
+export function resolveDocumentPath(
+  relPath,
+  { dataDir = "data", exts = DEFAULT_EXTS } = {}
+) {
+  if (typeof relPath !== "string" || !relPath.trim())
+    throw badRequest("Document path is required");
+  if (relPath.length > MAX_PATH_LENGTH)
+    throw badRequest("Document path is too long");
+  if (relPath.includes("\0") || relPath.includes("\\"))
+    throw badRequest("Invalid document path");
+  if (path.isAbsolute(relPath) || relPath.startsWith("/"))
+    throw badRequest("Document path must be relative to the data directory");
+
+  const segments = relPath.split("/");
+  if (
+    segments.some(
+      (seg) => !seg || seg === "." || seg === ".." || seg.startsWith(".")
+    )
+  )
+    throw badRequest("Invalid document path");
+
+  const ext = path.extname(relPath).slice(1).toLowerCase();
+  if (!exts.includes(ext))
+    throw badRequest(
+      `Unsupported document type ".${ext}" (allowed: ${exts.join(", ")})`,
+      415
+    );
+
+  const root = path.resolve(dataDir);
+  const abs = path.resolve(root, ...segments);
+  if (!abs.startsWith(root + path.sep))
+    throw badRequest("Document path escapes the data directory");
+
+  const file = path.join(dataDir, ...segments);
+  return { file, source: toSource(file), ext };
+}
+
+/**
+ * Source as listed by GET /documents ("data/a.md") → validated paths.
+ * A source must live in the data directory.
+ */
+export function resolveSource(source, { dataDir = "data", exts } = {}) {
+  const prefix = `${toSource(path.join(dataDir))}/`;
+  if (typeof source !== "string" || !source.startsWith(prefix))
+    throw badRequest(`Source must be inside ${prefix}`);
+  return resolveDocumentPath(source.slice(prefix.length), { dataDir, exts });
+}
+
+async function statOrNull(file) {
+  try {
+    const st = await fs.stat(file);
+    return st.isFile() ? st : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes (creates or replaces) a document. `metadata`, when given, is written
+ * to the "<file>.meta.json" sidecar (see metadata.js); without it, an existing
+ * sidecar is removed, so a replaced document doesn't keep stale metadata.
+ * The file is written to a temp name first and renamed, so a concurrent
+ * indexing run never reads half a file.
+ */
+export async function writeDocument(file, data, { metadata } = {}) {
+  const existed = Boolean(await statOrNull(file));
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  const tmp = `${file}.${process.pid}.upload`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+
+  if (metadata !== undefined) {
+    await fs.writeFile(
+      `${file}.meta.json`,
+      JSON.stringify(metadata, null, 2),
+      "utf-8"
+    );
+  } else {
+    await fs.rm(`${file}.meta.json`, { force: true });
+  }
+
+  return { created: !existed };
+}
+
+/** Deletes a document and its sidecar. Returns false if the file didn't exist. */
+export async function deleteDocument(file) {
+  try {
+    await fs.unlink(file);
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+  await fs.rm(`${file}.meta.json`, { force: true });
+  return true;
+}
+
+/**
+ * Documents in the data directory and/or the index:
+ * [{ source, exists, size?, modifiedAt?, chunks, indexedAt? }]
+ * (exists=false: still indexed but the file is gone → next reindex removes it;
+ *  chunks=0: on disk but not indexed yet)
+ */
+export async function listDocuments({
+  dataDir = "data",
+  exts = DEFAULT_EXTS,
+  manifestPath = DEFAULT_MANIFEST_PATH,
+} = {}) {
+  const files = await glob(
+    exts.map((e) => path.join(dataDir, `**/*.${e}`)),
+    { nodir: true, nocase: true }
+  );
+  const { sources: indexed } = await loadManifest(manifestPath);
+
+  const sources = new Set([...files.map(toSource), ...Object.keys(indexed)]);
+  const docs = [];
+  for (const source of [...sources].sort()) {
+    docs.push(await describe(source, indexed[source]));
+  }
+  return docs;
+}
+
+/** One document's info (null if it is neither on disk nor indexed) */
+export async function getDocument(
+  source,
+  { manifestPath = DEFAULT_MANIFEST_PATH } = {}
+) {
+  const { sources: indexed } = await loadManifest(manifestPath);
+  const doc = await describe(source, indexed[source]);
+  return doc.exists || doc.chunks ? doc : null;
+}
+
+async function describe(source, record) {
+  const st = await statOrNull(source);
+  return {
+    source,
+    exists: Boolean(st),
+    size: st?.size,
+    modifiedAt: st?.mtime.toISOString(),
+    chunks: record?.chunkIds.length || 0,
+    indexedAt: record?.indexedAt,
+  };
+}
@@ -11,15 +11,26 @@
 // asking (embed queries)
 
 // Important: this is server-side only.
-// This file calls OpenAI embeddings API and returns unit vectors.
+// This file turns text into unit vectors through an embedding provider.
 
-// What it does
+// Providers (same interface):
+
+// "openai": client.embeddings.create({ model, input, encoding_format: "float" })
+
+// "openai-compatible": the same API at another base URL (RAG_EMBED_BASE_URL),
+//   e.g. a local server (Ollama, vLLM, LM Studio, text-embeddings-inference)
 
-// Takes array of strings
+// "local": in-process CPU model via transformers.js (ONNX), e.g.
+//   Xenova/all-MiniLM-L6-v2 — downloaded once, then works offline
 
-// Calls:
+// "hash": hashed bag-of-words ("bow-256" = 256 dimensions), no model at all;
+//   deterministic, only matches shared words (RAG_OFFLINE, tests)
 
-// client.embeddings.create({ model, input, encoding_format: "float" })
+// Interface:
+// provider.embed(texts) → unit vectors
+// provider.id → what the vectors are comparable with ("text-embedding-3-small",
+//   "local:Xenova/all-MiniLM-L6-v2", ...); used for cache keys, the manifest and
+//   the embedding info recorded with the table
 
 // Normalizes each embedding using normalizeVec() so cosine similarity becomes dot-product-friendly.
 
@@ -28,23 +39,247 @@
 // Used in indexing (embed chunks)
 
 // Used in querying (embed user question + augmented variants)
-import { client, normalizeText } from "./lib.js";
+import OpenAI from "openai";
+import { client, normalizeText, OFFLINE } from "./lib.js";
 import { normalizeVec } from "./lib.js";
 
+export const EMBEDDING_PROVIDERS = [
+  "openai",
+  "openai-compatible",
+  "local",
+  "hash",
+];
+
+const DEFAULT_MODELS = {
+  openai: "text-embedding-3-small",
+  "openai-compatible": "text-embedding-3-small",
+  local: "Xenova/all-MiniLM-L6-v2",
+  hash: "bow-256",
+};
+
+/**
+ * createEmbeddingProvider(kind, { model, baseURL, apiKey, batchSize })
+ * Unknown kinds are an error (a silent fallback would embed with the wrong model).
+ */
+export function createEmbeddingProvider(kind = "openai", options = {}) {
+  if (kind === "openai") return createOpenAIEmbeddings(options);
+  if (kind === "openai-compatible")
+    return createOpenAICompatibleEmbeddings(options);
+  if (kind === "local") return createLocalEmbeddings(options);
+  if (kind === "hash") return createHashEmbeddings(options);
+  throw new Error(
+    `Unknown embedding provider "${kind}" (use ${EMBEDDING_PROVIDERS.join(
+      ", "
+    )})`
+  );
+}
+
+/**
+ * Provider from RAG_EMBED_PROVIDER / RAG_EMBED_MODEL / RAG_EMBED_BASE_URL /
+ * RAG_EMBED_API_KEY (explicit kind/model win). One instance per kind + model,
+ * so a local model is loaded once per process.
+ * Offline mode (RAG_OFFLINE) always uses "hash", whatever is configured.
+ */
+const providers = new Map();
+export function getEmbeddingProvider({ kind, model } = {}) {
+  const k = OFFLINE
+    ? "hash"
+    : kind || process.env.RAG_EMBED_PROVIDER || "openai";
+  const m = OFFLINE
+    ? DEFAULT_MODELS.hash
+    : model || process.env.RAG_EMBED_MODEL || DEFAULT_MODELS[k];
+  const key = `${k}:${m}`;
+  if (!providers.has(key)) {
+    providers.set(
+      key,
+      createEmbeddingProvider(k, {
+        model: m,
+        baseURL: process.env.RAG_EMBED_BASE_URL,
+        apiKey: process.env.RAG_EMBED_API_KEY,
+      })
+    );
+  }
+  return providers.get(key);
+}
+
 /**
  * Embeds an array of texts. Returns UNIT vectors (normalized).
+ * Uses the configured provider; `model` overrides its model.
+ */
+export async function embedTexts(texts, { model, provider } = {}) {
+  return (provider || getEmbeddingProvider({ model })).embed(texts);
+}
+
+/**
+ * What a table's vectors were built with (stored in its schema metadata):
+ * { provider, model, id, dimension }
  */
-export async function embedTexts(
-  texts,
-  { model = "text-embedding-3-small" } = {}
-) {
-  const input = texts.map((t) => normalizeText(t));
+export function embeddingInfo(provider, dimension) {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    id: provider.id,
+    dimension,
+  };
+}
+
+/* ---------------- OpenAI ---------------- */
+
+function openAIEmbeddings({ name, id, model, api }) {
+  return {
+    name,
+    id,
+    model,
+    async embed(texts) {
+      if (texts.length === 0) return [];
+      const input = texts.map((t) => normalizeText(t));
+
+      const res = await api().embeddings.create({
+        model,
+        input,
+        encoding_format: "float",
+      });
+
+      return res.data.map((d) => normalizeVec(d.embedding));
+    },
+  };
+}
 
-  const res = await client.embeddings.create({
+export function createOpenAIEmbeddings({ model = DEFAULT_MODELS.openai } = {}) {
+  // id is the bare model name: OpenAI was the only provider before, so
+  // existing manifests and caches stay valid
+  return openAIEmbeddings({
+    name: "openai",
+    id: model,
     model,
-    input,
-    encoding_format: "float",
+    api: () => client,
   });
+}
+
+export function createOpenAICompatibleEmbeddings({
+  model = DEFAULT_MODELS["openai-compatible"],
+  baseURL,
+  apiKey,
+} = {}) {
+  if (!baseURL) {
+    throw new Error(
+      'Embedding provider "openai-compatible" needs RAG_EMBED_BASE_URL (e.g. http://localhost:11434/v1)'
+    );
+  }
+  const compatible = new OpenAI({
+    baseURL,
+    apiKey: apiKey || process.env.OPENAI_API_KEY || "none",
+  });
+  return openAIEmbeddings({
+    name: "openai-compatible",
+    id: `openai-compatible:${model}`,
+    model,
+    api: () => compatible,
+  });
+}
+
+/* ---------------- Local (CPU) ---------------- */
+
+/**
+ * Sentence-transformer in process via transformers.js: mean pooling +
+ * normalization. The model is loaded lazily on first use and kept in memory.
+ */
+export function createLocalEmbeddings({
+  model = DEFAULT_MODELS.local,
+  batchSize = 32,
+} = {}) {
+  let loading = null;
+
+  async function load() {
+    if (!loading) {
+      loading = (async () => {
+        let transformers;
+        try {
+          transformers = await import("@huggingface/transformers");
+        } catch {
+          throw new Error(
+            'Local embeddings need the optional "@huggingface/transformers" package (npm install @huggingface/transformers).'
+          );
+        }
+        try {
+          return await transformers.pipeline("feature-extraction", model, {
+            device: "cpu",
+          });
+        } catch (err) {
+          // first use downloads the model; afterwards it loads from the cache
+          throw new Error(
+            `Could not load local embedding model ${model}: ${err?.message}`
+          );
+        }
+      })().catch((err) => {
+        loading = null; // allow a retry on the next call
+        throw err;
+      });
+    }
+    return loading;
+  }
+
+  return {
+    name: "local",
+    id: `local:${model}`,
+    model,
+    async embed(texts) {
+      if (texts.length === 0) return [];
+      const extractor = await load();
+      const vectors = [];
+
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const batch = texts
+          .slice(i, i + batchSize)
+          .map((t) => normalizeText(t));
+        const output = await extractor(batch, {
+          pooling: "mean",
+          normalize: true,
+        });
+        for (const v of output.tolist()) vectors.push(normalizeVec(v));
+      }
+      return vectors;
+    },
+  };
+}
+
+/* ---------------- Hashed bag-of-words (offline) ---------------- */
+
+/**
+ * Every word is hashed (FNV-1a) into one of `dimension` buckets, with a
+ * hash-derived sign so collisions tend to cancel out; the counts are
+ * normalized. model: "bow-<dimension>".
+ */
+export function createHashEmbeddings({ model = DEFAULT_MODELS.hash } = {}) {
+  const dimension = Number(model.match(/(\d+)$/)?.[1]) || 256;
+
+  function embedOne(text) {
+    const v = new Array(dimension).fill(0);
+    const words = normalizeText(text)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu);
+    for (const word of words || []) {
+      const h = fnv1a(word);
+      v[h % dimension] += h & 0x80000000 ? -1 : 1;
+    }
+    return normalizeVec(v);
+  }
+
+  return {
+    name: "hash",
+    id: `hash:${model}`,
+    model,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
 
-  return res.data.map((d) => normalizeVec(d.embedding));
+function fnv1a(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
 }
@@ -0,0 +1,112 @@
+// What it does
+
+// Content-addressed store of chunk embeddings, so the indexer never pays
+// twice for the same text.
+
+// Chunk ids include the source path, so renaming or moving a document
+// (data/policies.md → data/policies/refunds.md) deletes and re-adds all of its
+// chunks. Their text is unchanged, though, and so is the vector: the cache is
+// keyed by "<embedding model>:<contentHash>", not by chunk id.
+
+// Stored in LanceDB next to the chunk tables (table embedding_cache):
+
+// { key, model, contentHash, vector }   (vector: variable-length list, so
+//                                        models with different dimensions share it)
+
+// Rows are only ever added (mergeInsert on key), never updated: the same text
+// + model always embeds to the same vector.
+
+import * as lancedb from "@lancedb/lancedb";
+import { Schema, Field, Utf8, Float32, List } from "apache-arrow";
+import { sqlString } from "./filters.js";
+
+const LOOKUP_BATCH = 200;
+
+function cacheKey(model, contentHash) {
+  return `${model}:${contentHash}`;
+}
+
+export class EmbeddingCache {
+  constructor({ conn, table, tableName }) {
+    this.conn = conn;
+    this.table = table;
+    this.tableName = tableName;
+  }
+
+  static async open({ uri, tableName = "embedding_cache" }) {
+    const conn = await lancedb.connect(uri);
+    let table = null;
+    try {
+      table = await conn.openTable(tableName);
+    } catch {
+      table = null;
+    }
+    return new EmbeddingCache({ conn, table, tableName });
+  }
+
+  static schema() {
+    return new Schema([
+      new Field("key", new Utf8(), false),
+      new Field("model", new Utf8(), true),
+      new Field("contentHash", new Utf8(), true),
+      new Field(
+        "vector",
+        new List(new Field("item", new Float32(), true)),
+        true
+      ),
+    ]);
+  }
+
+  /**
+   * Cached vectors for these content hashes.
+   * Returns Map<contentHash, number[]> (misses are simply absent).
+   */
+  async lookup(model, contentHashes) {
+    const found = new Map();
+    if (!this.table) return found;
+
+    const keys = [...new Set(contentHashes)].map((h) => cacheKey(model, h));
+    for (let i = 0; i < keys.length; i += LOOKUP_BATCH) {
+      const batch = keys.slice(i, i + LOOKUP_BATCH);
+      const rows = await this.table
+        .query()
+        .where(`\`key\` IN (${batch.map(sqlString).join(", ")})`)
+        .select(["contentHash", "vector"])
+        .toArray();
+
+      for (const r of rows) {
+        found.set(r.contentHash, Array.from(r.vector));
+      }
+    }
+    return found;
+  }
+
+  /** Adds vectors: entries = [{ contentHash, vector }] (existing keys are kept) */
+  async store(model, entries) {
+    if (!entries.length) return;
+
+    const rows = [
+      ...new Map(
+        entries.map((e) => [
+          e.contentHash,
+          {
+            key: cacheKey(model, e.contentHash),
+            model,
+            contentHash: e.contentHash,
+            vector: Array.from(e.vector),
+          },
+        ])
+      ).values(),
+    ];
+
+    if (!this.table) {
+      this.table = await this.conn.createTable(this.tableName, rows, {
+        mode: "create",
+        schema: EmbeddingCache.schema(),
+      });
+      return;
+    }
+
+    await this.table.mergeInsert("key").whenNotMatchedInsertAll().execute(rows);
+  }
+}
@@ -0,0 +1,150 @@
+// What it does
+
+// One structured filter shape for retrieval:
+// {
+//   sources?: string[]           // allow-list of sources
+//   sourcePrefix?: string        // sources starting with prefix
+//   tags?: string | string[]     // document has at least one of these tags
+//   title?, owner?, product?, effectiveDate?: string | string[]
+//   mustInclude?: string[]       // keywords that must appear in the chunk
+//   mustIncludeMode?: "all" | "any"
+// }
+
+// compileFilter() turns it into a LanceDB `where` predicate (prefilter,
+// so topK is filled with matching rows instead of being filtered afterwards)
+
+// Anything that can't be pushed down (e.g. a column missing from an older
+// table) comes back as `residual` and is checked with matchesFilter() after
+// retrieval.
+
+import { METADATA_FIELDS } from "./metadata.js";
+
+/** SQL string literal with quotes escaped */
+export function sqlString(value) {
+  return `'${String(value).replaceAll("'", "''")}'`;
+}
+
+/** Column identifier (backticks keep camelCase names case-sensitive) */
+function sqlColumn(name) {
+  return `\`${name}\``;
+}
+
+/** "pro" → ["pro"], ["a","b"] → ["a","b"], missing/empty → null */
+export function toFilterValues(v) {
+  if (v === undefined || v === null) return null;
+  const list = (Array.isArray(v) ? v : [v])
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+function mustIncludeKeywords(filter) {
+  if (!Array.isArray(filter?.mustInclude)) return [];
+  return filter.mustInclude.map((k) => String(k).toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Splits a filter into conditions, each knowing:
+ * - the columns it needs (to decide if it can be pushed down)
+ * - its SQL predicate
+ * - its in-memory check (for the post-filter fallback)
+ */
+function filterConditions(filter) {
+  if (!filter) return [];
+  const conds = [];
+
+  const sources = Array.isArray(filter.sources)
+    ? filter.sources.map(String)
+    : null;
+  if (sources) {
+    const allow = new Set(sources);
+    conds.push({
+      key: "sources",
+      columns: ["source"],
+      sql: sources.length
+        ? `${sqlColumn("source")} IN (${sources.map(sqlString).join(", ")})`
+        : "false",
+      test: (item) => allow.has(item.source),
+    });
+  }
+
+  if (typeof filter.sourcePrefix === "string" && filter.sourcePrefix) {
+    const prefix = filter.sourcePrefix;
+    conds.push({
+      key: "sourcePrefix",
+      columns: ["source"],
+      sql: `starts_with(${sqlColumn("source")}, ${sqlString(prefix)})`,
+      test: (item) => String(item.source).startsWith(prefix),
+    });
+  }
+
+  for (const [field, type] of Object.entries(METADATA_FIELDS)) {
+    const values = toFilterValues(filter[field]);
+    if (!values) continue;
+    const wanted = new Set(values);
+    const list = values.map(sqlString).join(", ");
+
+    conds.push(
+      type === "string[]"
+        ? {
+            key: field,
+            columns: [field],
+            sql: `array_has_any(${sqlColumn(field)}, [${list}])`,
+            test: (item) => (item[field] || []).some((x) => wanted.has(x)),
+          }
+        : {
+            key: field,
+            columns: [field],
+            sql: `${sqlColumn(field)} IN (${list})`,
+            test: (item) => wanted.has(item[field]),
+          }
+    );
+  }
+
+  const kws = mustIncludeKeywords(filter);
+  if (kws.length > 0) {
+    const any = filter.mustIncludeMode === "any";
+    const col = sqlColumn("content");
+    const parts = kws.map((k) => `strpos(lower(${col}), ${sqlString(k)}) > 0`);
+    conds.push({
+      key: "mustInclude",
+      columns: ["content"],
+      sql: `(${parts.join(any ? " OR " : " AND ")})`,
+      test: (item) => {
+        const text = String(item.content || "").toLowerCase();
+        return any
+          ? kws.some((k) => text.includes(k))
+          : kws.every((k) => text.includes(k));
+      },
+    });
+  }
+
+  return conds;
+}
+
+/**
+ * compileFilter(filter, { columns })
+ * columns: Set of column names in the table (conditions on missing columns
+ *          are not pushed down)
+ * Returns { where: string | null, residual: condition[] }
+ */
+export function compileFilter(filter, { columns } = {}) {
+  const pushed = [];
+  const residual = [];
+
+  for (const c of filterConditions(filter)) {
+    const canPush = !columns || c.columns.every((col) => columns.has(col));
+    (canPush ? pushed : residual).push(c);
+  }
+
+  return {
+    where: pushed.length ? pushed.map((c) => `(${c.sql})`).join(" AND ") : null,
+    pushedDown: pushed.map((c) => c.key),
+    residual,
+  };
+}
+
+/** Post-filter check for conditions that weren't pushed down */
+export function matchesFilter(item, residual) {
+  return residual.every((c) => c.test(item));
+}
@@ -0,0 +1,156 @@
+// What it does
+
+// Score fusion for hybrid / multi-variant retrieval.
+
+// Input: many ranked lists — one per (query variant × retriever),
+// e.g. question/vector, question/fts, rewrite1/vector, ..., hyde/fts
+
+// Strategies:
+
+// "rrf" (default): weighted Reciprocal Rank Fusion over ALL lists
+//   score = Σ listWeight × variantWeight / (K + rank)
+//   a chunk found by several variants/retrievers accumulates evidence
+
+// "linear": normalize raw scores per list (cosine for vector, BM25 for fts)
+//   with "minmax" or "zscore", then take the weighted average
+//   (a list that didn't return the chunk counts as its lowest normalized score)
+
+// Every fused hit keeps its per-list components for debugging:
+// components: [{ list, variant, rank, raw, normalized?, contribution }]
+
+export const FUSION_STRATEGIES = ["rrf", "linear"];
+export const NORMALIZATIONS = ["minmax", "zscore"];
+
+/**
+ * fuseRankedLists(lists, options)
+ * lists: [{ hits, list: "vector" | "fts", variant?: number }]
+ * options:
+ * {
+ *   strategy?: "rrf" | "linear"
+ *   K?: number                                  // RRF constant (default 60)
+ *   normalization?: "minmax" | "zscore"         // linear only
+ *   listWeights?: { vector?: number, fts?: number }
+ *   variantWeights?: number[]                   // by variant index (default 1)
+ * }
+ * Returns hits sorted by fused score: [{ item, score, components }]
+ */
+export function fuseRankedLists(
+  lists,
+  {
+    strategy = "rrf",
+    K = 60,
+    normalization = "minmax",
+    listWeights = {},
+    variantWeights = [],
+  } = {}
+) {
+  const weightOf = ({ list, variant = 0 }) =>
+    (listWeights[list] ?? 1) * (variantWeights[variant] ?? 1);
+
+  const out = new Map();
+  const entry = (h) => {
+    let e = out.get(h.item.id);
+    if (!e) {
+      e = { item: h.item, score: 0, components: [] };
+      out.set(h.item.id, e);
+    }
+    return e;
+  };
+
+  if (strategy === "linear") {
+    let totalWeight = 0;
+    const normalizedLists = lists.map((l) => {
+      const w = weightOf(l);
+      totalWeight += w;
+      return { ...l, w, norm: normalizeScores(l.hits, normalization) };
+    });
+
+    // first pass: every chunk seen in any list
+    for (const l of normalizedLists) for (const h of l.hits) entry(h);
+
+    for (const l of normalizedLists) {
+      const seen = new Map(l.hits.map((h, idx) => [h.item.id, idx]));
+      for (const e of out.values()) {
+        const idx = seen.get(e.item.id);
+        const normalized =
+          idx === undefined ? l.norm.floor : l.norm.values[idx];
+        const contribution = (l.w * normalized) / (totalWeight || 1);
+        e.score += contribution;
+        if (idx !== undefined) {
+          e.components.push({
+            list: l.list,
+            variant: l.variant ?? 0,
+            rank: idx + 1,
+            raw: l.hits[idx].score,
+            normalized,
+            contribution,
+          });
+        }
+      }
+    }
+  } else {
+    for (const l of lists) {
+      const w = weightOf(l);
+      sortByScore(l.hits).forEach((h, idx) => {
+        const rank = idx + 1;
+        const contribution = w / (K + rank);
+        const e = entry(h);
+        e.score += contribution;
+        e.components.push({
+          list: l.list,
+          variant: l.variant ?? 0,
+          rank,
+          raw: h.score,
+          contribution,
+        });
+      });
+    }
+  }
+
+  return [...out.values()].sort((a, b) => b.score - a.score);
+}
+
+function sortByScore(hits) {
+  return [...hits].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Per-list score normalization (hits keep their order).
+ * floor = value used for chunks this list didn't return.
+ */
+function normalizeScores(hits, normalization) {
+  const scores = hits.map((h) => h.score);
+  if (scores.length === 0) return { values: [], floor: 0 };
+
+  if (normalization === "zscore") {
+    const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+    const variance =
+      scores.reduce((a, b) => a + (b - mean) ** 2, 0) / scores.length;
+    const std = Math.sqrt(variance) || 1;
+    const values = scores.map((s) => (s - mean) / std);
+    return { values, floor: Math.min(...values) };
+  }
+
+  // minmax
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  const range = max - min;
+  return {
+    values: scores.map((s) => (range ? (s - min) / range : 1)),
+    floor: 0,
+  };
+}
+
+/** Short per-hit summary for debug payloads */
+export function summarizeComponents(hit) {
+  const byList = {};
+  for (const c of hit.components || []) {
+    byList[c.list] = (byList[c.list] || 0) + c.contribution;
+  }
+  return {
+    id: hit.item.id,
+    score: hit.score,
+    byList,
+    components: hit.components,
+  };
+}
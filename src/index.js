@@ -1,20 +1,76 @@
 // Just calls buildIndex().
 
+// --mode=verify [--repair] runs verifyIndex() instead: compares the docs on
+// disk, the table and the manifest (exit code 1 if they disagree and
+// nothing was repaired)
+
+// --rollback[=<version>] switches back to an earlier full-rebuild version
+
 // This keeps your index build process separate from server runtime.
-import { buildIndex } from "./indexer.js";
+import { buildIndex, verifyIndex } from "./indexer.js";
+import { rollbackVersion } from "./tableVersions.js";
 
 async function main() {
+  // --rollback (to the previous version) or --rollback=<version>
+  const rollbackArg = process.argv.find(
+    (x) => x === "--rollback" || x.startsWith("--rollback=")
+  );
+  if (rollbackArg) {
+    const result = await rollbackVersion({
+      uri: process.env.LANCEDB_URI || "./.lancedb",
+      tableName: process.env.LANCEDB_TABLE || "rag_chunks",
+      version: rollbackArg.split("=")[1] || undefined,
+    });
+    console.log(`Active table version: ${result.active}`);
+    return;
+  }
+
   const modeArg = process.argv.find((x) => x.startsWith("--mode="));
   const mode = modeArg ? modeArg.split("=")[1] : "incremental";
 
+  if (mode === "verify") {
+    const report = await verifyIndex({
+      repair: process.argv.includes("--repair"),
+      dataDir: "data",
+      exts: ["txt", "md", "pdf", "html", "docx"],
+      chunk: { chunkSize: 1200, chunkOverlap: 200 },
+    });
+    printVerifyReport(report);
+    if (!report.ok && !report.repaired) process.exitCode = 1;
+    return;
+  }
+
   await buildIndex({
     mode,
     dataDir: "data",
-    exts: ["txt", "md"],
+    exts: ["txt", "md", "pdf", "html", "docx"],
+    // character-based sizing; use { unit: "tokens", chunkSize: 300, chunkOverlap: 50 }
+    // to size chunks in embedding-model tokens instead
     chunk: { chunkSize: 1200, chunkOverlap: 200 },
   });
 }
 
+function printVerifyReport(report) {
+  const list = (label, ids) => {
+    console.log(`${label}: ${ids.length}`);
+    for (const id of ids.slice(0, 20)) console.log(`  ${id}`);
+    if (ids.length > 20) console.log(`  … ${ids.length - 20} more`);
+  };
+
+  console.log(`Table ${report.table}:`, report.counts);
+  list("Orphan rows", report.orphans);
+  list("Missing rows", report.missing);
+  list("Duplicate ids", report.duplicates);
+  list("Stale contentHash", report.staleContentHashes);
+  list("Manifest ids not in table", report.manifest.missingFromTable);
+  list("Table ids not in manifest", report.manifest.untracked);
+  if (report.repaired) console.log("Repaired:", report.repair);
+  else
+    console.log(
+      report.ok ? "✅ Index is consistent." : "Run with --repair to fix."
+    );
+}
+
 main().catch((e) => {
   console.error(e);
   process.exit(1);
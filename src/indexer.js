@@ -26,118 +26,458 @@
 
 // Batches chunks (e.g., 64 at a time)
 
-// Calls embedTexts() → gets vectors
+// Calls the embedding provider (embed.js) → gets vectors (only for text the embedding cache
+// hasn't seen with this model — renamed/moved/duplicated chunks reuse
+// their vectors, see embeddingCache.js)
 
 // Creates LanceDB records:
 
-// { id, source, chunkIndex, content, vector }
+// { id, citationId, source, chunkIndex, page, headingPath, tokenCount,
+//   title, tags, owner, product, effectiveDate, content, contentHash, vector }
 
 // Writes them into LanceDB table:
 
-// first batch → overwrite (fresh table)
+// incremental → add/delete rows in the active table
 
-// next batches → add
+// full → a new versioned table, validated and then switched to (blue/green,
+// see tableVersions.js), so the live table is never dropped mid-rebuild
 
 // Builds indexes (ensureIndexes())
 
+// Progress + cancellation (used by background reindex jobs)
+
+// onProgress({ phase, processed, total }) with phase chunking → embedding → indexing
+
+// signal (AbortSignal) is checked between batches; an incremental run saves
+// the manifest for what it already wrote before stopping, so the next run
+// picks up where it left off
+
 // Why it matters
 
 // You only run this when docs change.
 // It’s the “Load → Chunk → Embed → Store” flow in your slide.
 
-import { loadAndChunkDocs } from "./loadDocs.js";
-import { embedTexts } from "./embed.js";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { loadAndChunkDocs, listDocFiles, DEFAULT_EXTS } from "./loadDocs.js";
+import { getEmbeddingProvider, embeddingInfo } from "./embed.js";
 import { LanceVectorStore } from "./vectorStore.js";
+import { EmbeddingCache } from "./embeddingCache.js";
 import {
   DEFAULT_MANIFEST_PATH,
+  emptyManifest,
   loadManifest,
   saveManifest,
+  manifestIds,
   computeChunkMeta,
   diffManifests,
+  settingsChanged,
+  statDocument,
+  hashDocument,
 } from "./recordManager.js";
+import { METADATA_FIELDS } from "./metadata.js";
+import {
+  resolveActiveTable,
+  newVersionName,
+  validateTable,
+  activateVersion,
+  pruneVersions,
+} from "./tableVersions.js";
+
+/**
+ * One LanceDB row per chunk (columns match LanceVectorStore.chunkSchema()).
+ * Every column gets a concrete value (no nulls).
+ */
+function toRecord(x, vector, vectorColumn) {
+  const metadata = Object.fromEntries(
+    Object.keys(METADATA_FIELDS).map((f) => [f, x[f]])
+  );
+
+  return {
+    id: x.id,
+    citationId: x.citationId,
+    source: x.source,
+    chunkIndex: x.chunkIndex,
+    page: x.page,
+    headingPath: x.headingPath,
+    tokenCount: x.tokenCount,
+    ...metadata,
+    content: x.content,
+    contentHash: x.contentHash,
+    [vectorColumn]: vector,
+  };
+}
+
+/**
+ * Vectors for a batch of items. Text already embedded with this model (in any
+ * source) comes from the cache; the rest goes to the provider and is cached.
+ * Counts into stats.reused / stats.computed.
+ */
+async function embedItems(batch, { cache, embeddings, stats, logger }) {
+  let vectors = new Map(); // contentHash → vector
+  if (cache) {
+    try {
+      vectors = await cache.lookup(
+        embeddings.id,
+        batch.map((x) => x.contentHash)
+      );
+    } catch (e) {
+      logger.warn?.("Embedding cache lookup failed; embedding the batch", {
+        message: e?.message,
+      });
+    }
+  }
+
+  const missing = [
+    ...new Map(
+      batch
+        .filter((x) => !vectors.has(x.contentHash))
+        .map((x) => [x.contentHash, x])
+    ).values(),
+  ];
+  if (missing.length) {
+    const computed = await embeddings.embed(missing.map((x) => x.content));
+    missing.forEach((x, i) => vectors.set(x.contentHash, computed[i]));
+
+    try {
+      await cache?.store(
+        embeddings.id,
+        missing.map((x, i) => ({
+          contentHash: x.contentHash,
+          vector: computed[i],
+        }))
+      );
+    } catch (e) {
+      logger.warn?.("Could not write to the embedding cache", {
+        message: e?.message,
+      });
+    }
+  }
+
+  stats.computed += missing.length;
+  stats.reused += batch.length - missing.length;
+  return batch.map((x) => vectors.get(x.contentHash));
+}
+
+/** Thrown when buildIndex() stops because its signal was aborted */
+function cancelledError() {
+  const e = new Error("Indexing cancelled");
+  e.code = "INDEX_CANCELLED";
+  return e;
+}
 
 /**
  * buildIndex()
  * -----------
  * mode:
  * - "incremental" (default): only embed/add new chunks, delete removed chunks
- * - "full": rebuild entire DB table from scratch
+ * - "full": rebuild into a new table version, validate it, then switch to it
+ *   (the previous `keepVersions` versions stay around for rollback)
+ *
+ * chunk:
+ * - { chunkSize, chunkOverlap } in characters (default)
+ * - { unit: "tokens", chunkSize, chunkOverlap } in embedding-model tokens
+ * - encoding?: tokenizer for "tokens" and the tokenCount column (default:
+ *   cl100k_base, the OpenAI embedding models' encoding)
+ * - { strategy: "semantic", breakpointPercentile, minChunkSize, maxChunkSize, unit? }
+ *   cuts at embedding-similarity drops between sentences (see semanticChunk.js)
+ *
+ * sources (incremental only):
+ * - ["data/a.md", ...] → only these documents are re-read and diffed against
+ *   their manifest entries; everything else in the index is left untouched.
+ *   A listed source whose file no longer exists has its chunks deleted.
+ *
+ * onActivated:
+ * - full mode: awaited after the new version went live and before old
+ *   versions are pruned, e.g. () => engine.reloadStore(), so no version is
+ *   dropped while it still serves queries
+ *
+ * onProgress / signal:
+ * - onProgress({ phase, processed, total }) after each phase change and batch
+ * - signal: AbortSignal checked between batches (throws code INDEX_CANCELLED)
+ *
+ * embeddingProvider / embedModel:
+ * - "openai" (default), "openai-compatible", "local" or "hash" (see
+ *   embed.js; RAG_OFFLINE forces "hash"); the provider, model and vector
+ *   dimension are recorded with a new table, and an incremental run with a
+ *   different model is refused (409)
+ *
+ * embeddingCacheTable:
+ * - LanceDB table of vectors keyed by embedding model + chunk contentHash
+ *   ("" disables it); the result reports embeddings: { reused, computed }
  */
 export async function buildIndex({
   mode = "incremental",
   dataDir = "data",
-  exts = ["txt", "md"],
+  exts = DEFAULT_EXTS,
+  sources,
   chunk = { chunkSize: 1200, chunkOverlap: 200 },
   batchSize = 64,
   logger = console,
   lanceUri = process.env.LANCEDB_URI || "./.lancedb",
   tableName = process.env.LANCEDB_TABLE || "rag_chunks",
-  embedModel = process.env.RAG_EMBED_MODEL || "text-embedding-3-small",
+  embeddingProvider, // default: RAG_EMBED_PROVIDER
+  embedModel,
   vectorColumn = process.env.RAG_VECTOR_COLUMN || "vector",
   ftsColumn = process.env.RAG_FTS_COLUMN || "content",
   manifestPath = DEFAULT_MANIFEST_PATH,
+  keepVersions = Number(process.env.RAG_TABLE_VERSIONS_KEEP || 2),
+  embeddingCacheTable = process.env.RAG_EMBED_CACHE_TABLE ?? "embedding_cache",
+  onProgress = () => {},
+  onActivated = async () => {},
+  signal,
 } = {}) {
-  logger.info?.(`Indexing started (mode=${mode})...`);
+  if (sources && mode === "full") {
+    const e = new Error("sources can only be used with mode=incremental");
+    e.statusCode = 400;
+    throw e;
+  }
+  const scope = sources ? new Set(sources) : null;
+  const progress = (phase, processed = 0, total = 0) =>
+    onProgress({ phase, processed, total });
+  const checkCancelled = () => {
+    if (signal?.aborted) throw cancelledError();
+  };
 
-  // 1) Load + chunk docs
-  const chunks = await loadAndChunkDocs({ dataDir, exts, chunk });
-  logger.info?.(`Chunks produced: ${chunks.length}`);
+  logger.info?.(
+    `Indexing started (mode=${mode}${
+      scope ? `, sources=${[...scope].join(", ")}` : ""
+    })...`
+  );
+
+  const embeddings = getEmbeddingProvider({
+    kind: embeddingProvider,
+    model: embedModel,
+  });
+  const settings = { chunking: chunk, embedModel: embeddings.id };
+  const manifest =
+    mode === "full" ? emptyManifest() : await loadManifest(manifestPath);
+  const inScope = (source) => !scope || scope.has(source);
+
+  // 1) Find documents (only the listed sources that still exist) and, in
+  //    incremental mode, skip the ones unchanged since they were indexed
+  checkCancelled();
+  const files = await listDocFiles({
+    dataDir,
+    exts,
+    files: scope ? await existingFiles([...scope]) : undefined,
+    logger,
+  });
+
+  const fingerprints = new Map(); // source → { fileHash, mtimeMs, size }
+  const changedFiles = [];
+  let skipped = 0;
+  for (const [n, file] of files.entries()) {
+    progress("chunking", n, files.length);
+    const source = file.split(path.sep).join("/");
+    const record = manifest.sources[source];
+
+    let stat;
+    try {
+      stat = await statDocument(file);
+    } catch {
+      continue; // removed while we were listing
+    }
+
+    const reusable =
+      mode !== "full" &&
+      record?.fileHash &&
+      record.chunking &&
+      !settingsChanged(record, settings);
+    if (
+      reusable &&
+      record.size === stat.size &&
+      record.mtimeMs === stat.mtimeMs
+    ) {
+      skipped++;
+      continue;
+    }
+
+    const fileHash = await hashDocument(file);
+    if (reusable && record.fileHash === fileHash) {
+      Object.assign(record, stat); // touched but identical
+      skipped++;
+      continue;
+    }
+
+    fingerprints.set(source, { fileHash, ...stat });
+    changedFiles.push(file);
+  }
+  const seen = new Set(files.map((f) => f.split(path.sep).join("/")));
+  logger.info?.(
+    `Documents: ${changedFiles.length} to (re)chunk, ${skipped} unchanged`
+  );
 
-  // 2) Compute chunk meta + stable IDs
-  const { items, idSet: currentIdsSet } = computeChunkMeta(chunks);
+  // 2) Load + chunk changed docs, compute chunk meta + stable IDs
+  progress("chunking", files.length, files.length);
+  const chunks = await loadAndChunkDocs({
+    dataDir,
+    exts,
+    files: changedFiles,
+    chunk,
+    logger,
+    // only used by chunk.strategy = "semantic"
+    embed: (texts) => embeddings.embed(texts),
+  });
+  logger.info?.(`Chunks produced: ${chunks.length}`);
+  checkCancelled();
+
+  const { items } = computeChunkMeta(chunks, { encoding: chunk.encoding });
+  const idsBySource = new Map([...fingerprints.keys()].map((s) => [s, []]));
+  for (const x of items) idsBySource.get(x.source)?.push(x.id);
+
+  const now = new Date().toISOString();
+  const recordFor = (source, extra = {}) => ({
+    ...fingerprints.get(source),
+    ...settings,
+    chunkIds: idsBySource.get(source),
+    indexedAt: now,
+    ...extra,
+  });
 
-  // 3) Init vector store
+  // 3) Init vector store (full: a new table version; incremental: the live one)
+  const version = mode === "full" ? newVersionName(tableName) : null;
   const store = await LanceVectorStore.init({
     uri: lanceUri,
-    tableName,
+    tableName: version || (await resolveActiveTable(tableName)),
     vectorColumn,
     ftsColumn,
   });
-
-  // FULL rebuild: embed all and overwrite table
+  // an incremental run can't change the model of an existing table
+  store.checkEmbedding({ id: embeddings.id });
+
+  const cache = embeddingCacheTable
+    ? await EmbeddingCache.open({
+        uri: lanceUri,
+        tableName: embeddingCacheTable,
+      })
+    : null;
+  const embedStats = { reused: 0, computed: 0 };
+  let embedding = null; // recorded with a new table: { provider, model, id, dimension }
+  const embedBatch = async (batch) => {
+    const vectors = await embedItems(batch, {
+      cache,
+      embeddings,
+      stats: embedStats,
+      logger,
+    });
+    embedding ??= embeddingInfo(embeddings, vectors[0]?.length);
+    store.checkEmbedding(embedding);
+    return vectors;
+  };
+
+  // FULL rebuild: embed all into the new version, validate, switch over
   if (mode === "full") {
     logger.info?.("Full rebuild: embedding all chunks...");
     const allRecords = [];
+    progress("embedding", 0, items.length);
 
     for (let i = 0; i < items.length; i += batchSize) {
+      checkCancelled();
       const batch = items.slice(i, i + batchSize);
-      const vectors = await embedTexts(
-        batch.map((x) => x.content),
-        { model: embedModel }
-      );
+      const vectors = await embedBatch(batch);
 
-      const records = batch.map((x, idx) => ({
-        id: x.id,
-        citationId: x.citationId,
-        source: x.source,
-        chunkIndex: x.chunkIndex,
-        content: x.content,
-        contentHash: x.contentHash,
-        [vectorColumn]: vectors[idx],
-      }));
+      const records = batch.map((x, idx) =>
+        toRecord(x, vectors[idx], vectorColumn)
+      );
 
       allRecords.push(...records);
       logger.info?.(
         `Embedded ${Math.min(i + batchSize, items.length)}/${items.length}`
       );
+      progress("embedding", allRecords.length, items.length);
+    }
+
+    // an empty corpus still gets a (valid, empty) version; one probe
+    // embedding gives it the vector size later incremental runs need
+    if (allRecords.length === 0) {
+      const [vector] = await embeddings.embed(["probe"]);
+      embedding = embeddingInfo(embeddings, vector.length);
     }
 
-    await store.overwrite(allRecords);
+    checkCancelled();
+    progress("indexing", items.length, items.length);
+    await store.add(allRecords, { embedding });
     await store.ensureIndexes();
-    await saveManifest(currentIdsSet, manifestPath);
 
-    logger.info?.("✅ Full rebuild complete.");
+    try {
+      checkCancelled();
+      await validateTable(store, {
+        expectedRows: allRecords.length,
+        probe: { ...allRecords[0], vector: allRecords[0]?.[vectorColumn] },
+      });
+    } catch (e) {
+      // the live table was never touched; just discard the new version
+      await store.conn.dropTable(version).catch(() => {});
+      if (e.code === "INDEX_CANCELLED") throw e;
+      const err = new Error(
+        `New index version failed validation: ${e.message}`
+      );
+      err.statusCode = 500;
+      throw err;
+    }
+
+    for (const source of fingerprints.keys()) {
+      manifest.sources[source] = recordFor(source);
+    }
+    const { previous } = await activateVersion({
+      uri: lanceUri,
+      tableName,
+      version,
+      rows: allRecords.length,
+      manifest,
+      manifestPath,
+      logger,
+    });
+    await onActivated();
+    const dropped = await pruneVersions({
+      uri: lanceUri,
+      tableName,
+      keep: keepVersions,
+      manifestPath,
+      logger,
+    });
+
+    logger.info?.(
+      `Embeddings: ${embedStats.reused} reused, ${embedStats.computed} computed`
+    );
+    logger.info?.(`✅ Full rebuild complete (${version}).`);
     return {
       mode,
+      version,
+      previousVersion: previous || undefined,
+      droppedVersions: dropped.length ? dropped : undefined,
       chunksCount: chunks.length,
       added: items.length,
       deleted: 0,
+      embeddings: embedStats,
     };
   }
 
-  // INCREMENTAL indexing: use manifest diff
-  const previousIdsSet = await loadManifest(manifestPath);
-  const { toAdd, toDelete } = diffManifests(previousIdsSet, currentIdsSet);
+  // INCREMENTAL indexing: per-source diff against the manifest
+  // - removed documents: delete all their chunks
+  // - changed documents: chunk id diff, or delete + re-add everything when
+  //   the chunking settings / embedding model changed since last time
+  const removedSources = Object.keys(manifest.sources).filter(
+    (src) => inScope(src) && !seen.has(src)
+  );
+  const toDelete = removedSources.flatMap(
+    (src) => manifest.sources[src].chunkIds
+  );
+  const toAdd = [];
+  const deletedIds = new Set(toDelete);
+  for (const [source, currentIds] of idsBySource) {
+    const record = manifest.sources[source];
+    const previousIds = new Set(record?.chunkIds || []);
+    const diff = settingsChanged(record, settings)
+      ? { toAdd: currentIds, toDelete: [...previousIds] }
+      : diffManifests(previousIds, new Set(currentIds));
+    toAdd.push(...diff.toAdd);
+    toDelete.push(...diff.toDelete);
+    for (const id of diff.toDelete) deletedIds.add(id);
+  }
+
+  const addSet = new Set(toAdd);
 
   logger.info?.(
     `Incremental plan: add=${toAdd.length}, delete=${toDelete.length}`
@@ -156,41 +496,317 @@ export async function buildIndex({
     }
   }
 
+  // Manifest after this run. While batches are still missing (cancelled), a
+  // changed source keeps only the chunks actually in the table and no
+  // fingerprint, so the next run re-reads it and adds the rest.
+  const saveProgress = async (addedIds) => {
+    for (const src of removedSources) delete manifest.sources[src];
+
+    for (const [source, currentIds] of idsBySource) {
+      const record = manifest.sources[source];
+      const pending = addedIds
+        ? currentIds.filter((id) => addSet.has(id) && !addedIds.has(id))
+        : [];
+      const touched =
+        currentIds.some((id) => addSet.has(id)) ||
+        (record?.chunkIds || []).some((id) => deletedIds.has(id));
+
+      if (!pending.length) {
+        manifest.sources[source] = recordFor(source, {
+          indexedAt: touched || !record?.indexedAt ? now : record.indexedAt,
+        });
+        continue;
+      }
+
+      const kept = (record?.chunkIds || []).filter((id) => !deletedIds.has(id));
+      manifest.sources[source] = {
+        fileHash: null,
+        mtimeMs: null,
+        size: null,
+        chunking: null,
+        embedModel: null,
+        chunkIds: [
+          ...new Set([
+            ...kept,
+            ...currentIds.filter((id) => !pending.includes(id)),
+          ]),
+        ],
+        indexedAt: now,
+      };
+    }
+
+    await saveManifest(manifest, manifestPath);
+  };
+
   // 5) Add new/changed chunks
-  const addItems = items.filter((x) => toAdd.includes(x.id));
+  const addItems = items.filter((x) => addSet.has(x.id));
+  progress("embedding", 0, addItems.length);
 
   let added = 0;
   for (let i = 0; i < addItems.length; i += batchSize) {
+    if (signal?.aborted) {
+      await saveProgress(new Set(addItems.slice(0, added).map((x) => x.id)));
+      logger.info?.(`Indexing cancelled after ${added}/${addItems.length}`);
+      throw cancelledError();
+    }
+
     const batch = addItems.slice(i, i + batchSize);
-    const vectors = await embedTexts(
-      batch.map((x) => x.content),
-      { model: embedModel }
+    const vectors = await embedBatch(batch);
+
+    const records = batch.map((x, idx) =>
+      toRecord(x, vectors[idx], vectorColumn)
     );
 
-    const records = batch.map((x, idx) => ({
-      id: x.id,
-      citationId: x.citationId,
-      source: x.source,
-      chunkIndex: x.chunkIndex,
-      content: x.content,
-      contentHash: x.contentHash,
-      [vectorColumn]: vectors[idx],
-    }));
-
-    await store.add(records);
+    await store.add(records, { embedding });
     added += records.length;
 
     logger.info?.(
       `Added ${Math.min(i + batchSize, addItems.length)}/${addItems.length}`
     );
+    progress("embedding", added, addItems.length);
   }
 
   // 6) Ensure indexes exist (best-effort)
+  progress("indexing", added, addItems.length);
   await store.ensureIndexes();
 
-  // 7) Save manifest
-  await saveManifest(currentIdsSet, manifestPath);
+  // 7) Save manifest (sources outside the scope are kept as they were)
+  await saveProgress();
 
+  logger.info?.(
+    `Embeddings: ${embedStats.reused} reused, ${embedStats.computed} computed`
+  );
   logger.info?.("✅ Incremental indexing complete.");
-  return { mode, chunksCount: chunks.length, added, deleted: toDelete.length };
+  return {
+    mode,
+    sources: scope ? [...scope] : undefined,
+    chunksCount: Object.entries(manifest.sources)
+      .filter(([src]) => inScope(src))
+      .reduce((n, [, r]) => n + r.chunkIds.length, 0),
+    skipped,
+    added,
+    deleted: toDelete.length,
+    embeddings: embedStats,
+  };
+}
+
+/**
+ * verifyIndex()
+ * ------------
+ * Compares three views of the index:
+ * - documents on disk (re-read and chunked with `chunk`, nothing skipped)
+ * - rows in the active LanceDB table
+ * - the manifest
+ * and reports (chunk ids):
+ * - orphans: rows whose chunk no longer exists on disk
+ * - missing: chunks on disk with no row
+ * - duplicates: ids stored in more than one row
+ * - staleContentHashes: rows whose contentHash doesn't match the chunk's text
+ * - manifest.missingFromTable / manifest.untracked: manifest vs. table drift
+ *
+ * repair: deletes orphans, re-adds missing / duplicate / stale chunks (vectors
+ * via the embedding cache) and rewrites the manifest from what's on disk —
+ * without a full rebuild. Options otherwise match buildIndex().
+ */
+export async function verifyIndex({
+  repair = false,
+  dataDir = "data",
+  exts = DEFAULT_EXTS,
+  chunk = { chunkSize: 1200, chunkOverlap: 200 },
+  batchSize = 64,
+  logger = console,
+  lanceUri = process.env.LANCEDB_URI || "./.lancedb",
+  tableName = process.env.LANCEDB_TABLE || "rag_chunks",
+  embeddingProvider, // default: RAG_EMBED_PROVIDER
+  embedModel,
+  vectorColumn = process.env.RAG_VECTOR_COLUMN || "vector",
+  ftsColumn = process.env.RAG_FTS_COLUMN || "content",
+  manifestPath = DEFAULT_MANIFEST_PATH,
+  embeddingCacheTable = process.env.RAG_EMBED_CACHE_TABLE ?? "embedding_cache",
+  onProgress = () => {},
+  signal,
+} = {}) {
+  const progress = (phase, processed = 0, total = 0) =>
+    onProgress({ phase, processed, total });
+  const checkCancelled = () => {
+    if (signal?.aborted) throw cancelledError();
+  };
+
+  const embeddings = getEmbeddingProvider({
+    kind: embeddingProvider,
+    model: embedModel,
+  });
+  const activeTable = await resolveActiveTable(tableName);
+  logger.info?.(`Verifying ${activeTable}${repair ? " (repair)" : ""}...`);
+
+  // 1) What should be indexed
+  progress("chunking");
+  const files = await listDocFiles({ dataDir, exts, logger });
+  const chunks = await loadAndChunkDocs({
+    dataDir,
+    exts,
+    files,
+    chunk,
+    logger,
+    embed: (texts) => embeddings.embed(texts),
+  });
+  const { items } = computeChunkMeta(chunks, { encoding: chunk.encoding });
+  const expected = new Map(items.map((x) => [x.id, x]));
+  checkCancelled();
+
+  // 2) What is indexed
+  progress("verifying");
+  const store = await LanceVectorStore.init({
+    uri: lanceUri,
+    tableName: activeTable,
+    vectorColumn,
+    ftsColumn,
+  });
+  store.checkEmbedding({ id: embeddings.id });
+  const rows = await store.listRowIds();
+  const manifest = await loadManifest(manifestPath);
+  const tracked = manifestIds(manifest);
+
+  const rowCounts = new Map();
+  const rowHashes = new Map();
+  for (const r of rows) {
+    rowCounts.set(r.id, (rowCounts.get(r.id) || 0) + 1);
+    if (
+      !rowHashes.has(r.id) ||
+      r.contentHash !== expected.get(r.id)?.contentHash
+    )
+      rowHashes.set(r.id, r.contentHash);
+  }
+
+  const report = {
+    table: activeTable,
+    counts: {
+      documents: files.length,
+      chunks: expected.size,
+      rows: rows.length,
+      manifestIds: tracked.size,
+    },
+    orphans: [...rowCounts.keys()].filter((id) => !expected.has(id)),
+    missing: [...expected.keys()].filter((id) => !rowCounts.has(id)),
+    duplicates: [...rowCounts].filter(([, n]) => n > 1).map(([id]) => id),
+    staleContentHashes: [...rowHashes]
+      .filter(
+        ([id, h]) => expected.has(id) && h !== expected.get(id).contentHash
+      )
+      .map(([id]) => id),
+    manifest: {
+      missingFromTable: [...tracked].filter((id) => !rowCounts.has(id)),
+      untracked: [...rowCounts.keys()].filter((id) => !tracked.has(id)),
+    },
+  };
+  report.ok =
+    !report.orphans.length &&
+    !report.missing.length &&
+    !report.duplicates.length &&
+    !report.staleContentHashes.length &&
+    !report.manifest.missingFromTable.length &&
+    !report.manifest.untracked.length;
+
+  logger.info?.(
+    `Verify: orphans=${report.orphans.length}, missing=${report.missing.length}, ` +
+      `duplicates=${report.duplicates.length}, stale=${report.staleContentHashes.length}, ` +
+      `manifest drift=${
+        report.manifest.missingFromTable.length +
+        report.manifest.untracked.length
+      }`
+  );
+  if (!repair) return { ...report, repaired: false };
+
+  // 3) Repair: delete bad rows, re-add what's missing, rewrite the manifest
+  checkCancelled();
+  const readd = [
+    ...new Set([
+      ...report.missing,
+      ...report.duplicates.filter((id) => expected.has(id)),
+      ...report.staleContentHashes,
+    ]),
+  ];
+  const toDelete = [
+    ...new Set([
+      ...report.orphans,
+      ...report.duplicates,
+      ...report.staleContentHashes,
+    ]),
+  ];
+
+  if (toDelete.length) await store.deleteByIds(toDelete);
+
+  const cache = embeddingCacheTable
+    ? await EmbeddingCache.open({
+        uri: lanceUri,
+        tableName: embeddingCacheTable,
+      })
+    : null;
+  const embedStats = { reused: 0, computed: 0 };
+  const addItems = readd.map((id) => expected.get(id));
+  progress("embedding", 0, addItems.length);
+  for (let i = 0; i < addItems.length; i += batchSize) {
+    checkCancelled();
+    const batch = addItems.slice(i, i + batchSize);
+    const vectors = await embedItems(batch, {
+      cache,
+      embeddings,
+      stats: embedStats,
+      logger,
+    });
+    const embedding = embeddingInfo(embeddings, vectors[0]?.length);
+    store.checkEmbedding(embedding);
+    await store.add(
+      batch.map((x, idx) => toRecord(x, vectors[idx], vectorColumn)),
+      { embedding }
+    );
+    progress(
+      "embedding",
+      Math.min(i + batchSize, addItems.length),
+      addItems.length
+    );
+  }
+
+  progress("indexing", addItems.length, addItems.length);
+  if (store.table) await store.ensureIndexes();
+
+  // the manifest now describes exactly what's on disk (and in the table)
+  const now = new Date().toISOString();
+  const next = emptyManifest();
+  for (const file of files) {
+    const source = file.split(path.sep).join("/");
+    const previous = manifest.sources[source];
+    next.sources[source] = {
+      fileHash: await hashDocument(file),
+      ...(await statDocument(file)),
+      chunking: chunk,
+      embedModel: embeddings.id,
+      chunkIds: items.filter((x) => x.source === source).map((x) => x.id),
+      indexedAt: previous?.indexedAt || now,
+    };
+  }
+  await saveManifest(next, manifestPath);
+
+  logger.info?.(
+    `✅ Repair complete: deleted ${toDelete.length}, added ${addItems.length}.`
+  );
+  return {
+    ...report,
+    repaired: true,
+    repair: {
+      deleted: toDelete.length,
+      added: addItems.length,
+      embeddings: embedStats,
+    },
+  };
+}
+
+async function existingFiles(files) {
+  const out = [];
+  for (const f of files) {
+    try {
+      if ((await fs.stat(f)).isFile()) out.push(f);
+    } catch {}
+  }
+  return out;
 }
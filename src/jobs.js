@@ -0,0 +1,173 @@
+// What it does
+
+// Runs indexing work in the background so HTTP requests don't wait on it.
+
+// POST /reindex starts a job and returns its id right away
+
+// GET /jobs/:id reports status + phase + processed/total (from buildIndex's
+// onProgress), error and duration
+
+// DELETE /jobs/:id cancels: a queued job never starts, a running one stops
+// at the next batch boundary (buildIndex checks its AbortSignal)
+
+// One writer per table
+
+// Jobs and the documents API both go through runExclusive(table, fn), so two
+// runs never diff against the same manifest / table at the same time.
+// Only one reindex job per table may be queued or running: starting another
+// one is a 409 that points at the active job.
+
+// Jobs live in memory (the last `keep` finished jobs are kept for polling).
+
+import crypto from "node:crypto";
+
+export const JOB_STATUSES = [
+  "queued",
+  "running",
+  "cancelling",
+  "succeeded",
+  "failed",
+  "cancelled",
+];
+
+const ACTIVE = new Set(["queued", "running", "cancelling"]);
+
+/**
+ * createJobManager({ log, keep })
+ * -------------------------------
+ * start({ type, table, params, run }) → job snapshot
+ *   run({ signal, onProgress }) does the work; its return value becomes job.result
+ * get(id) → job snapshot | null
+ * list() → job snapshots, newest first
+ * cancel(id) → job snapshot | null (409 if the job already finished)
+ * findActive({ type, table }) → the queued/running job of that kind | null
+ * runExclusive(table, fn) → fn's result, after any other work on that table
+ */
+export function createJobManager({ log = console, keep = 100 } = {}) {
+  const jobs = new Map(); // id → job (insertion order = creation order)
+  const controllers = new Map(); // id → AbortController (active jobs only)
+  const chains = new Map(); // table → promise of the last queued work
+
+  function runExclusive(table, fn) {
+    const prev = chains.get(table) || Promise.resolve();
+    const run = prev.then(fn, fn);
+    const tail = run.catch(() => {});
+    chains.set(table, tail);
+    tail.then(() => {
+      if (chains.get(table) === tail) chains.delete(table);
+    });
+    return run;
+  }
+
+  function snapshot(job) {
+    const end = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+    return {
+      ...job,
+      progress: { ...job.progress },
+      durationMs: job.startedAt ? end - Date.parse(job.startedAt) : undefined,
+    };
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter((j) => !ACTIVE.has(j.status));
+    for (const job of finished.slice(0, Math.max(0, finished.length - keep))) {
+      jobs.delete(job.id);
+    }
+  }
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, fields, {
+      status,
+      finishedAt: new Date().toISOString(),
+    });
+    controllers.delete(job.id);
+    prune();
+  }
+
+  function findActive({ type = "reindex", table }) {
+    const job = [...jobs.values()].find(
+      (j) => j.type === type && j.table === table && ACTIVE.has(j.status)
+    );
+    return job ? snapshot(job) : null;
+  }
+
+  function start({ type = "reindex", table, params = {}, run }) {
+    const active = findActive({ type, table });
+    if (active) {
+      const e = new Error(`A ${type} job is already active for this table`);
+      e.statusCode = 409;
+      e.jobId = active.id;
+      throw e;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      table,
+      params,
+      status: "queued",
+      progress: { phase: undefined, processed: 0, total: 0 },
+      createdAt: new Date().toISOString(),
+      startedAt: undefined,
+      finishedAt: undefined,
+      result: undefined,
+      error: undefined,
+    };
+    const controller = new AbortController();
+    jobs.set(job.id, job);
+    controllers.set(job.id, controller);
+
+    runExclusive(table, async () => {
+      if (controller.signal.aborted) return; // cancelled while queued
+
+      job.status = "running";
+      job.startedAt = new Date().toISOString();
+      log.info?.(`Job ${job.id} (${type}) started`);
+
+      try {
+        const result = await run({
+          signal: controller.signal,
+          onProgress: (p) => Object.assign(job.progress, p),
+        });
+        finish(job, "succeeded", { result });
+        log.info?.(`Job ${job.id} (${type}) succeeded`);
+      } catch (err) {
+        if (err?.code === "INDEX_CANCELLED" || controller.signal.aborted) {
+          finish(job, "cancelled");
+          log.info?.(`Job ${job.id} (${type}) cancelled`);
+        } else {
+          finish(job, "failed", { error: err?.message || String(err) });
+          log.error?.(err);
+        }
+      }
+    });
+
+    return snapshot(job);
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? snapshot(job) : null;
+  }
+
+  function list() {
+    return [...jobs.values()].reverse().map(snapshot);
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (!ACTIVE.has(job.status)) {
+      const e = new Error(`Job already ${job.status}`);
+      e.statusCode = 409;
+      throw e;
+    }
+
+    controllers.get(id)?.abort();
+    if (job.status === "queued") finish(job, "cancelled");
+    else job.status = "cancelling";
+    return snapshot(job);
+  }
+
+  return { start, get, list, cancel, findActive, runExclusive };
+}
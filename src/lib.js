@@ -39,6 +39,10 @@
 
 // All OpenAI calls (embeddings + responses) use this.
 
+// RAG_OFFLINE=true (OFFLINE) swaps in hashed bag-of-words embeddings and the
+// stub LLM everywhere (see embed.js, rag/generation.js): no API calls, so no
+// key is needed, and the same input always gives the same output (tests).
+
 // B) Text normalization
 
 // normalizeText() makes inputs consistent:
@@ -89,8 +93,14 @@ import "dotenv/config";
 import fs from "node:fs/promises";
 import path from "node:path";
 import OpenAI from "openai";
+import { getSizer } from "./tokenizer.js";
+
+export const OFFLINE = (process.env.RAG_OFFLINE ?? "false") === "true";
 
-export const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// offline mode never calls OpenAI; the placeholder only satisfies the SDK
+export const client = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY || (OFFLINE ? "offline" : undefined),
+});
 
 export function normalizeText(s) {
   return String(s)
@@ -105,10 +115,16 @@ export function normalizeText(s) {
  * 1) "\n\n" (paragraphs)
  * 2) "\n"   (lines)
  * 3) " "    (words)
- * 4) ""     (characters)
+ * 4) ""     (hard slices)
  *
  * We first split using the best separator, then recursively split long pieces,
  * and finally MERGE into chunks of chunkSize with chunkOverlap.
+ *
+ * unit:
+ * - "chars" (default): chunkSize/chunkOverlap are character counts
+ * - "tokens": chunkSize/chunkOverlap are tokens of the embedding model's
+ *   tokenizer (see tokenizer.js), so chunk length doesn't swing between
+ *   prose, code and CJK text
  */
 export function chunkTextRecursive(
   text,
@@ -116,36 +132,65 @@ export function chunkTextRecursive(
     chunkSize = 1200,
     chunkOverlap = 200,
     separators = ["\n\n", "\n", " ", ""],
+    unit = "chars",
+    encoding,
   } = {}
 ) {
+  const sizer = getSizer(unit, { encoding });
   const t = normalizeText(text);
   if (!t) return [];
-  if (t.length <= chunkSize) return [t];
+  if (sizer.length(t) <= chunkSize) return [t];
 
   // 1) Split recursively into smaller “units”
-  const splits = splitRecursively(t, separators, chunkSize);
+  //    (hard slices leave room for the overlap so merged chunks stay full)
+  const sliceSize = Math.max(
+    1,
+    chunkSize - Math.min(chunkOverlap, chunkSize / 2)
+  );
+  const splits = splitRecursively(
+    t,
+    separators,
+    chunkSize,
+    sizer,
+    sliceSize,
+    false
+  );
 
   // 2) Merge those units into final chunks with overlap
-  return mergeSplitsWithOverlap(splits, chunkSize, chunkOverlap);
+  return mergeSplitsWithOverlap(splits, chunkSize, chunkOverlap, sizer);
 }
 
-function splitRecursively(text, separators, chunkSize) {
-  if (text.length <= chunkSize) return [text];
-
-  // If no separators left, fall back to hard slicing
-  if (!separators.length)
-    return [
-      text.slice(0, chunkSize),
-      ...splitRecursively(text.slice(chunkSize), [], chunkSize),
-    ];
+/**
+ * Returns units as { text, glue }:
+ * glue is what goes between this unit and the previous one when merging —
+ * " " for separator splits, "" for hard slices (they were cut mid-run,
+ * e.g. CJK text without spaces, so adding a space would corrupt the text).
+ */
+function splitRecursively(
+  text,
+  separators,
+  chunkSize,
+  sizer,
+  sliceSize,
+  fits = sizer.length(text) <= chunkSize // callers that measured pass it in
+) {
+  if (fits) return [{ text, glue: " " }];
 
   const [sep, ...rest] = separators;
 
-  // If separator is "" → split into characters
-  const parts = sep === "" ? Array.from(text) : text.split(sep);
+  // If no separators left (or separator is ""), fall back to hard slicing
+  // (one pass over the text, not re-measuring what is left after each slice)
+  if (!separators.length || sep === "") {
+    return sizer
+      .split(text, sliceSize)
+      .map((piece, i) => ({ text: piece, glue: i ? "" : " " }));
+  }
+
+  const parts = text.split(sep);
 
   // If splitting did nothing (no separator found), try smaller separator
-  if (parts.length === 1) return splitRecursively(text, rest, chunkSize);
+  if (parts.length === 1)
+    return splitRecursively(text, rest, chunkSize, sizer, sliceSize, false);
 
   // Now recursively split any part that is still too large
   const out = [];
@@ -153,44 +198,57 @@ function splitRecursively(text, separators, chunkSize) {
     const piece = p.trim();
     if (!piece) continue;
 
-    if (piece.length <= chunkSize) out.push(piece);
-    else out.push(...splitRecursively(piece, rest, chunkSize));
+    if (sizer.length(piece) <= chunkSize) out.push({ text: piece, glue: " " });
+    else
+      out.push(
+        ...splitRecursively(piece, rest, chunkSize, sizer, sliceSize, false)
+      );
   }
   return out;
 }
 
-function mergeSplitsWithOverlap(splits, chunkSize, chunkOverlap) {
+function mergeSplitsWithOverlap(splits, chunkSize, chunkOverlap, sizer) {
   const chunks = [];
   let current = "";
+  // size of current, kept as a running sum so each split is measured once
+  // instead of re-measuring the growing chunk (exact for chars; for tokens a
+  // close estimate, as BPE may merge across a hard-slice boundary)
+  let currentSize = 0;
 
   const pushCurrent = () => {
     const c = current.trim();
     if (c) chunks.push(c);
   };
 
-  for (const s of splits) {
+  for (const { text: s, glue } of splits) {
     if (!current) {
       current = s;
+      currentSize = sizer.length(s);
       continue;
     }
 
     // If adding this split would exceed chunkSize, finalize current
-    if ((current + " " + s).length > chunkSize) {
+    const addSize = sizer.length(glue + s);
+    if (currentSize + addSize > chunkSize) {
       pushCurrent();
 
-      // overlap: carry last chunkOverlap chars into new chunk
-      const overlapText = current.slice(
-        Math.max(0, current.length - chunkOverlap)
-      );
-      current = (overlapText + " " + s).trim();
+      // overlap: carry last chunkOverlap chars/tokens into new chunk
+      const overlapText =
+        chunkOverlap > 0 ? sizer.tail(current, chunkOverlap) : "";
+      current = (overlapText + glue + s).trim();
+      currentSize = sizer.length(current);
 
       // If overlap itself makes it too big (rare), hard slice
-      while (current.length > chunkSize) {
-        chunks.push(current.slice(0, chunkSize));
-        current = current.slice(Math.max(0, chunkSize - chunkOverlap)).trim();
+      while (currentSize > chunkSize) {
+        const head = sizer.head(current, chunkSize) || current.slice(0, 1);
+        chunks.push(head);
+        const step = sizer.head(current, Math.max(1, chunkSize - chunkOverlap));
+        current = current.slice(Math.max(1, step.length)).trim();
+        currentSize = sizer.length(current);
       }
     } else {
-      current = (current + " " + s).trim();
+      current = (current + glue + s).trim();
+      currentSize += addSize;
     }
   }
 
@@ -198,6 +256,231 @@ function mergeSplitsWithOverlap(splits, chunkSize, chunkOverlap) {
   return chunks;
 }
 
+/**
+ * Markdown-aware splitter
+ * -----------------------
+ * Splits along Markdown structure instead of raw characters:
+ * - headings start a new section; chunks never cross a section boundary
+ * - a heading with no text of its own is folded into its subheading's
+ *   section (or dropped before a sibling), so there are no heading-only chunks
+ * - fenced code blocks, lists and tables are kept whole when they fit
+ * - blocks are packed into chunks of up to chunkSize
+ * - only blocks bigger than chunkSize are split further
+ *   (code fences line by line and re-fenced, everything else via chunkTextRecursive)
+ *
+ * Returns: [{ content, headingPath }] where headingPath is e.g. "Refunds > Partial refunds"
+ */
+export function chunkMarkdown(
+  text,
+  { chunkSize = 1200, chunkOverlap = 200, unit = "chars", encoding } = {}
+) {
+  const sizer = getSizer(unit, { encoding });
+  const sections = parseMarkdownSections(text);
+  const chunks = [];
+
+  for (const { headingPath, blocks } of sections) {
+    let current = "";
+
+    const pushCurrent = () => {
+      const c = current.trim();
+      if (c) chunks.push({ content: c, headingPath });
+      current = "";
+    };
+
+    for (const block of blocks) {
+      const body = block.text.trim();
+      if (!body) continue;
+
+      if (sizer.length(body) > chunkSize) {
+        pushCurrent();
+        const pieces =
+          block.type === "code"
+            ? splitCodeFence(body, chunkSize, sizer)
+            : chunkTextRecursive(body, {
+                chunkSize,
+                chunkOverlap,
+                unit,
+                encoding,
+              });
+        for (const p of pieces) chunks.push({ content: p, headingPath });
+        continue;
+      }
+
+      if (current && sizer.length(current + "\n\n" + body) > chunkSize)
+        pushCurrent();
+      current = current ? `${current}\n\n${body}` : body;
+    }
+
+    pushCurrent();
+  }
+
+  return chunks;
+}
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM_RE = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const TABLE_ROW_RE = /^\s*\|/;
+
+/**
+ * Turns Markdown into sections (one per heading) made of typed blocks:
+ * heading | code | list | table | paragraph
+ */
+function parseMarkdownSections(text) {
+  const lines = String(text).replace(/\r\n/g, "\n").split("\n");
+  const headings = []; // stack of { level, title }
+  const sections = [{ headingPath: "", blocks: [] }];
+  const section = () => sections[sections.length - 1];
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const marker = fence[1];
+      const body = [line];
+      i++;
+      while (i < lines.length) {
+        body.push(lines[i]);
+        const closing = lines[i].trim();
+        i++;
+        if (
+          closing.startsWith(marker[0].repeat(marker.length)) &&
+          /^[`~]+$/.test(closing)
+        )
+          break;
+      }
+      section().blocks.push({ type: "code", text: body.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      const level = heading[1].length;
+      while (headings.length && headings[headings.length - 1].level >= level)
+        headings.pop();
+      headings.push({ level, title: heading[2] });
+
+      // A section that is still just its heading(s) would become a
+      // heading-only chunk: a subheading takes those headings along (its
+      // headingPath already has them), any other heading replaces it
+      const blocks = [{ type: "heading", text: line.trim() }];
+      const last = section();
+      if (
+        last.blocks.length &&
+        last.blocks.every((b) => b.type === "heading")
+      ) {
+        sections.pop();
+        if (last.level < level) blocks.unshift(...last.blocks);
+      }
+
+      sections.push({
+        headingPath: headings.map((h) => h.title).join(" > "),
+        level,
+        blocks,
+      });
+      i++;
+      continue;
+    }
+
+    if (TABLE_ROW_RE.test(line)) {
+      const body = [];
+      while (i < lines.length && TABLE_ROW_RE.test(lines[i]))
+        body.push(lines[i++]);
+      section().blocks.push({ type: "table", text: body.join("\n") });
+      continue;
+    }
+
+    if (LIST_ITEM_RE.test(line)) {
+      // list items plus indented continuation lines (and blank lines between items)
+      const body = [];
+      while (i < lines.length) {
+        const l = lines[i];
+        if (LIST_ITEM_RE.test(l) || (/^\s+\S/.test(l) && body.length)) {
+          body.push(l);
+          i++;
+        } else if (
+          !l.trim() &&
+          i + 1 < lines.length &&
+          LIST_ITEM_RE.test(lines[i + 1])
+        ) {
+          i++;
+        } else break;
+      }
+      section().blocks.push({ type: "list", text: body.join("\n") });
+      continue;
+    }
+
+    const body = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !FENCE_RE.test(lines[i]) &&
+      !HEADING_RE.test(lines[i]) &&
+      !TABLE_ROW_RE.test(lines[i]) &&
+      !LIST_ITEM_RE.test(lines[i])
+    )
+      body.push(lines[i++]);
+    section().blocks.push({
+      type: "paragraph",
+      text: body.map((l) => l.replace(/[ \t]+/g, " ")).join("\n"),
+    });
+  }
+
+  // a trailing heading-only section is kept only if it is all there is
+  const withContent = sections.filter((s) =>
+    s.blocks.some((b) => b.type !== "heading")
+  );
+  return withContent.length
+    ? withContent
+    : sections.filter((s) => s.blocks.length > 0);
+}
+
+/**
+ * Splits an oversized fenced code block by lines and re-wraps every piece
+ * in the original fence, so each chunk is still valid Markdown.
+ */
+function splitCodeFence(block, chunkSize, sizer) {
+  const lines = block.split("\n");
+  const open = lines[0];
+  const hasClose = lines.length > 1 && FENCE_RE.test(lines[lines.length - 1]);
+  const close = hasClose
+    ? lines[lines.length - 1].trim()
+    : open.trim().match(FENCE_RE)[1];
+  const body = lines.slice(1, hasClose ? -1 : undefined);
+
+  const budget = Math.max(1, chunkSize - sizer.length(`${open}\n\n${close}`));
+  const pieces = [];
+  let current = [];
+  let size = 0;
+
+  const flush = () => {
+    if (current.length) pieces.push([open, ...current, close].join("\n"));
+    current = [];
+    size = 0;
+  };
+
+  for (const raw of body) {
+    // a single line longer than the budget is hard-sliced
+    const lines = sizer.length(raw) > budget ? sizer.split(raw, budget) : [raw];
+    for (const line of lines) {
+      const lineSize = sizer.length(line) + 1;
+      if (size + lineSize > budget) flush();
+      current.push(line);
+      size += lineSize;
+    }
+  }
+  flush();
+
+  return pieces;
+}
+
 /** Vector math */
 export function dot(a, b) {
   let s = 0;
@@ -1,8 +1,10 @@
 // What it does
 
-// Finds files in data/**/*.txt|md
+// Finds files in data/**/*.txt|md|pdf|html|docx
 
-// Reads them
+// Reads each one with the loader for its extension (see loaders/):
+// txt/md as-is, PDFs page by page, HTML/DOCX converted to clean text
+// Unknown extensions are skipped with a warning
 
 // Chunks each file
 
@@ -15,6 +17,20 @@
 //   content: "text of chunk..."
 // }
 
+// PDF chunks also carry page + pageChunkIndex:
+// { id: "data/handbook.pdf#p12-3", page: 12, pageChunkIndex: 3, ... }
+
+// Markdown (and HTML/DOCX, which loaders turn into light Markdown) is split
+// along headings/code fences/lists/tables and carries headingPath:
+// { headingPath: "Refunds > Partial refunds", ... }
+
+// Every chunk also carries its document's metadata (front matter or
+// <file>.meta.json sidecar, see metadata.js):
+// { metadata: { title, tags, owner, product, effectiveDate }, ... }
+
+// chunk.strategy = "semantic" instead cuts where adjacent sentences stop
+// being similar (see semanticChunk.js); it needs an embed function.
+
 // Why this matters
 
 // Vectors don’t store “documents”, they store chunks.
@@ -26,31 +42,213 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { glob } from "glob";
-import { chunkTextRecursive } from "./lib.js";
+import { chunkTextRecursive, chunkMarkdown } from "./lib.js";
+import { chunkTextSemantic } from "./semanticChunk.js";
+import {
+  parseFrontMatter,
+  loadSidecarMetadata,
+  normalizeMetadata,
+} from "./metadata.js";
+import { loadPdfPages } from "./loaders/pdf.js";
+import { loadHtmlPages } from "./loaders/html.js";
+import { loadDocxPages } from "./loaders/docx.js";
+
+/**
+ * Loader per file extension.
+ * Every loader returns pages: [{ page, text }]
+ * - page = 0 → document has no pages (txt/md/html/docx): one entry with all text
+ * - page ≥ 1 → paged document (pdf): one entry per page
+ */
+const LOADERS = {
+  txt: loadPlainTextPages,
+  md: loadPlainTextPages,
+  pdf: loadPdfPages,
+  html: loadHtmlPages,
+  htm: loadHtmlPages,
+  docx: loadDocxPages,
+};
+
+export const SUPPORTED_EXTS = Object.keys(LOADERS);
+
+/** Extensions indexed by default (and accepted by the documents API) */
+export const DEFAULT_EXTS = ["txt", "md", "pdf", "html", "docx"];
+
+/**
+ * Formats whose text is Markdown (or converted to light Markdown by the loader)
+ * get the structure-aware splitter and a headingPath per chunk.
+ */
+const MARKDOWN_EXTS = new Set(["md", "html", "htm", "docx"]);
+
+async function loadPlainTextPages(file) {
+  return [{ page: 0, text: await fs.readFile(file, "utf-8") }];
+}
+
+/**
+ * Document files to load: `files` (filtered to loadable extensions) or
+ * every loadable file under dataDir. Sorted, relative paths.
+ */
+export async function listDocFiles({
+  dataDir = "data",
+  exts = DEFAULT_EXTS,
+  files: onlyFiles,
+  logger = console,
+} = {}) {
+  const known = [];
+  for (const e of exts) {
+    const ext = String(e).replace(/^\./, "").toLowerCase();
+    if (LOADERS[ext]) known.push(ext);
+    else
+      logger.warn?.(
+        `No loader for .${ext} files; skipping them (supported: ${SUPPORTED_EXTS.join(
+          ", "
+        )})`
+      );
+  }
+
+  let files;
+  if (onlyFiles) {
+    files = onlyFiles.filter((f) =>
+      known.includes(path.extname(f).slice(1).toLowerCase())
+    );
+  } else {
+    const patterns = known.map((e) => path.join(dataDir, `**/*.${e}`));
+    files = patterns.length
+      ? [...new Set(await glob(patterns, { nodir: true, nocase: true }))].sort()
+      : [];
+  }
+  return files;
+}
 
 export async function loadAndChunkDocs({
   dataDir = "data",
-  exts = ["txt", "md"],
+  exts = DEFAULT_EXTS,
+  files: onlyFiles, // optional explicit file list (instead of globbing dataDir)
   chunk = { chunkSize: 1200, chunkOverlap: 200 },
+  logger = console,
+  embed,
 } = {}) {
-  const patterns = exts.map((e) => path.join(dataDir, `**/*.${e}`));
-  const files = (await glob(patterns, { nodir: true })).sort();
+  const files = await listDocFiles({ dataDir, exts, files: onlyFiles, logger });
 
   const chunks = [];
   for (const file of files) {
-    const text = await fs.readFile(file, "utf-8");
-    const parts = chunkTextRecursive(text, chunk);
-
-    parts.forEach((content, idx) => {
-      const normalizedFile = file.split(path.sep).join("/");
-      chunks.push({
-        id: `${normalizedFile}#${idx}`,
-        source: normalizedFile,
-        chunkIndex: idx,
+    const source = file.split(path.sep).join("/");
+    const ext = path.extname(file).slice(1).toLowerCase();
+
+    let pages;
+    try {
+      pages = await LOADERS[ext](file);
+    } catch (e) {
+      logger.warn?.(
+        `Skipping ${source}: could not read .${ext} (${e?.message})`
+      );
+      continue;
+    }
+
+    const metadata = await extractMetadata(file, ext, pages, logger);
+
+    chunks.push(
+      ...(await chunkPages(
+        pages,
+        source,
+        metadata,
+        makeSplitter(ext, chunk, embed),
+        logger
+      ))
+    );
+  }
+
+  return chunks;
+}
+
+/**
+ * Document metadata (see metadata.js):
+ * - optional "<file>.meta.json" sidecar (any format)
+ * - Markdown front matter, which wins over the sidecar and is stripped
+ *   from the text in place so it doesn't get chunked/embedded
+ */
+async function extractMetadata(file, ext, pages, logger) {
+  let raw = {};
+  try {
+    raw = await loadSidecarMetadata(file);
+  } catch (e) {
+    logger.warn?.(`Ignoring invalid sidecar ${file}.meta.json (${e?.message})`);
+  }
+
+  if (ext === "md" && pages.length > 0) {
+    const { data, body } = parseFrontMatter(pages[0].text);
+    pages[0] = { ...pages[0], text: body };
+    raw = { ...raw, ...data };
+  }
+
+  return normalizeMetadata(raw);
+}
+
+/**
+ * Picks the splitter for a document. All splitters return [{ content, headingPath? }].
+ * - chunk.strategy "semantic": embedding-similarity breakpoints (needs embed)
+ * - Markdown-ish formats: structure-aware splitter
+ * - everything else: recursive splitter
+ */
+function makeSplitter(ext, chunk, embed) {
+  if (chunk.strategy === "semantic") {
+    return async (text) => {
+      const parts = await chunkTextSemantic(text, {
+        ...chunk,
+        maxChunkSize: chunk.maxChunkSize ?? chunk.chunkSize,
+        embed,
+      });
+      return parts.map((content) => ({ content }));
+    };
+  }
+
+  if (chunk.markdown !== false && MARKDOWN_EXTS.has(ext))
+    return (text) => chunkMarkdown(text, chunk);
+
+  return (text) =>
+    chunkTextRecursive(text, chunk).map((content) => ({ content }));
+}
+
+/**
+ * Chunks a loaded document page by page so every chunk knows its page:
+ * - chunkIndex keeps counting across the whole document (stable ordering)
+ * - pageChunkIndex restarts on each page (used for "file.pdf#p12-3" citations)
+ * Pages without extractable text are reported instead of producing empty chunks.
+ */
+async function chunkPages(pages, source, metadata, splitter, logger) {
+  const out = [];
+  const emptyPages = [];
+
+  for (const { page, text } of pages) {
+    const parts = await splitter(text);
+    if (parts.length === 0) {
+      if (page) emptyPages.push(page);
+      continue;
+    }
+
+    parts.forEach(({ content, headingPath }, pageChunkIndex) => {
+      const chunkIndex = out.length;
+      out.push({
+        id: page
+          ? `${source}#p${page}-${pageChunkIndex}`
+          : `${source}#${chunkIndex}`,
+        source,
+        chunkIndex,
+        ...(page ? { page, pageChunkIndex } : {}),
+        ...(headingPath ? { headingPath } : {}),
+        metadata,
         content,
       });
     });
   }
 
-  return chunks;
+  if (emptyPages.length > 0) {
+    logger.warn?.(
+      `${source}: no extractable text on ${emptyPages.length}/${pages.length} page(s) ` +
+        `(scanned or empty): ${emptyPages.join(", ")}`
+    );
+  } else if (out.length === 0) {
+    logger.warn?.(`${source}: no text extracted; nothing to index`);
+  }
+
+  return out;
 }
@@ -0,0 +1,15 @@
+// What it does
+
+// Reads a .docx (e.g. contracts) with mammoth, which maps Word styles to
+// semantic HTML (Heading 1 → <h1>, tables → <table>, lists → <ul>/<ol>)
+
+// Then reuses htmlToText() so DOCX and HTML end up in the same
+// normalized, lightly-Markdown text before chunking.
+
+import mammoth from "mammoth";
+import { htmlToText } from "./html.js";
+
+export async function loadDocxPages(file) {
+  const { value: html } = await mammoth.convertToHtml({ path: file });
+  return [{ page: 0, text: htmlToText(html) }];
+}
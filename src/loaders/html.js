@@ -0,0 +1,168 @@
+// What it does
+
+// Converts HTML (e.g. wiki exports) into readable, normalized text
+
+// Drops boilerplate: script/style/nav/header/footer/aside/forms
+
+// Keeps structure as light Markdown so chunking still sees it:
+// headings → "## Heading", lists → "- item" / "1. item",
+// tables → "| a | b |" rows, <pre> → fenced code, paragraphs → blank-line separated
+
+// Also used by the DOCX loader (DOCX → HTML → text).
+
+import fs from "node:fs/promises";
+import { parse } from "node-html-parser";
+
+const BOILERPLATE_SELECTOR = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "svg",
+  "canvas",
+  "form",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "[role=navigation]",
+  "[role=banner]",
+  "[role=contentinfo]",
+  "[aria-hidden=true]",
+].join(",");
+
+const BLOCK_TAGS = new Set([
+  "p",
+  "div",
+  "section",
+  "article",
+  "main",
+  "blockquote",
+  "figure",
+  "figcaption",
+  "dl",
+  "dt",
+  "dd",
+  "address",
+  "details",
+  "summary",
+]);
+
+export async function loadHtmlPages(file) {
+  const html = await fs.readFile(file, "utf-8");
+  return [{ page: 0, text: htmlToText(html) }];
+}
+
+/**
+ * htmlToText(html)
+ * Prefers <main>/<article> when present (that's where wiki content lives),
+ * otherwise falls back to <body> minus boilerplate.
+ */
+export function htmlToText(html) {
+  const root = parse(String(html), {
+    comment: false,
+    blockTextElements: { script: true, style: true, noscript: true, pre: true },
+  });
+
+  for (const el of root.querySelectorAll(BOILERPLATE_SELECTOR)) el.remove();
+
+  const content =
+    root.querySelector("main") ||
+    root.querySelector("article") ||
+    root.querySelector("body") ||
+    root;
+
+  return tidy(renderBlock(content));
+}
+
+function renderBlock(node) {
+  let out = "";
+  for (const child of node.childNodes) out += renderNode(child);
+  return out;
+}
+
+function renderNode(node) {
+  // text node
+  if (node.nodeType === 3) return node.text.replace(/\s+/g, " ");
+  if (node.nodeType !== 1) return "";
+
+  const tag = (node.rawTagName || "").toLowerCase();
+
+  if (/^h[1-6]$/.test(tag)) {
+    const level = Number(tag[1]);
+    const title = inlineText(node);
+    return title ? `\n\n${"#".repeat(level)} ${title}\n\n` : "";
+  }
+
+  if (tag === "br") return "\n";
+  if (tag === "hr") return "\n\n";
+  if (tag === "pre")
+    return `\n\n\`\`\`\n${node.text.replace(/\n+$/, "")}\n\`\`\`\n\n`;
+  if (tag === "ul" || tag === "ol") return `\n\n${renderList(node, 0)}\n\n`;
+  if (tag === "table") return `\n\n${renderTable(node)}\n\n`;
+  if (BLOCK_TAGS.has(tag)) return `\n\n${renderBlock(node)}\n\n`;
+
+  return renderBlock(node);
+}
+
+function renderList(listNode, depth) {
+  const ordered = (listNode.rawTagName || "").toLowerCase() === "ol";
+  const indent = "  ".repeat(depth);
+  const lines = [];
+  let n = 0;
+
+  for (const li of listNode.childNodes) {
+    if (li.nodeType !== 1 || li.rawTagName?.toLowerCase() !== "li") continue;
+    n++;
+
+    let own = "";
+    const nested = [];
+    for (const c of li.childNodes) {
+      const t = c.nodeType === 1 ? c.rawTagName?.toLowerCase() : "";
+      if (t === "ul" || t === "ol") nested.push(renderList(c, depth + 1));
+      else own += renderNode(c);
+    }
+
+    const marker = ordered ? `${n}.` : "-";
+    lines.push(`${indent}${marker} ${collapse(own)}`);
+    lines.push(...nested);
+  }
+
+  return lines.join("\n");
+}
+
+function renderTable(table) {
+  const rows = table
+    .querySelectorAll("tr")
+    .map((tr) =>
+      tr.childNodes
+        .filter((c) => c.nodeType === 1 && /^t[hd]$/i.test(c.rawTagName))
+        .map((cell) => inlineText(cell).replaceAll("|", "\\|"))
+    )
+    .filter((cells) => cells.length > 0);
+
+  if (rows.length === 0) return "";
+
+  const lines = rows.map((cells) => `| ${cells.join(" | ")} |`);
+  // header separator keeps it valid Markdown (and readable)
+  lines.splice(1, 0, `| ${rows[0].map(() => "---").join(" | ")} |`);
+  return lines.join("\n");
+}
+
+function inlineText(node) {
+  return collapse(renderBlock(node));
+}
+
+function collapse(s) {
+  return s.replace(/\s+/g, " ").trim();
+}
+
+function tidy(s) {
+  return s
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+$/g, "").replace(/^ (?=\S)/, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -0,0 +1,56 @@
+// What it does
+
+// Reads a PDF with pdf.js (pure JS, runs in Node, no external services)
+
+// Extracts the text of every page separately so chunks can remember
+// which page they came from (citations like handbook.pdf#p12-3)
+
+// Pages with no extractable text (scanned images, blank pages) are
+// returned with empty text so the caller can report them.
+
+import fs from "node:fs/promises";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+
+/**
+ * loadPdfPages(file)
+ * Returns: [{ page: 1-based page number, text: string }]
+ */
+export async function loadPdfPages(file) {
+  const data = new Uint8Array(await fs.readFile(file));
+
+  const doc = await getDocument({
+    data,
+    useSystemFonts: true,
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+
+  const pages = [];
+  try {
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      pages.push({ page: n, text: textItemsToString(content.items) });
+      page.cleanup();
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return pages;
+}
+
+/**
+ * pdf.js gives positioned text runs; hasEOL marks the end of a visual line.
+ * We keep line breaks so the recursive splitter still sees paragraphs.
+ */
+function textItemsToString(items) {
+  let out = "";
+  for (const it of items) {
+    if (typeof it.str !== "string") continue;
+    out += it.str;
+    if (it.hasEOL) out += "\n";
+  }
+  return out.replace(/\n{3,}/g, "\n\n").trim();
+}
@@ -0,0 +1,112 @@
+// What it does
+
+// Document-level metadata that becomes filterable columns on every chunk:
+
+// Markdown: YAML front matter at the top of the file
+// ---
+// title: Refund policy
+// tags: [billing, refunds]
+// owner: finance
+// product: pro
+// effective_date: 2024-01-01
+// ---
+
+// Other files: optional JSON sidecar next to the file,
+// e.g. data/handbook.pdf → data/handbook.pdf.meta.json
+
+// Front matter is stripped from the text before chunking
+// (so it isn't embedded as plain text).
+
+// Only the known fields below become columns; other keys are ignored.
+
+import fs from "node:fs/promises";
+import { parse as parseYaml } from "yaml";
+
+/**
+ * Column name → type. Front matter keys are matched case-insensitively
+ * with "_" / "-" ignored (effective_date → effectiveDate).
+ */
+export const METADATA_FIELDS = {
+  title: "string",
+  tags: "string[]",
+  owner: "string",
+  product: "string",
+  effectiveDate: "string",
+};
+
+const FRONT_MATTER_RE =
+  /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * parseFrontMatter(text) → { data, body }
+ * Invalid YAML is treated as "no front matter" (text is left untouched).
+ */
+export function parseFrontMatter(text) {
+  const m = String(text).match(FRONT_MATTER_RE);
+  if (!m) return { data: {}, body: text };
+
+  try {
+    const data = parseYaml(m[1]);
+    if (!data || typeof data !== "object" || Array.isArray(data))
+      return { data: {}, body: text };
+    return { data, body: text.slice(m[0].length) };
+  } catch {
+    return { data: {}, body: text };
+  }
+}
+
+/**
+ * Reads "<file>.meta.json" if present. Missing sidecar → {}.
+ * A sidecar that exists but isn't valid JSON is an error (caller logs it).
+ */
+export async function loadSidecarMetadata(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(`${file}.meta.json`, "utf-8");
+  } catch {
+    return {};
+  }
+  const data = JSON.parse(raw);
+  return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+}
+
+/**
+ * Maps raw metadata to the fixed column set. Every field always has a value
+ * ("" or []) so LanceDB rows stay uniform.
+ */
+export function normalizeMetadata(raw = {}) {
+  const byKey = new Map(
+    Object.entries(raw || {}).map(([k, v]) => [canonicalKey(k), v])
+  );
+
+  const out = {};
+  for (const [field, type] of Object.entries(METADATA_FIELDS)) {
+    const v = byKey.get(canonicalKey(field));
+    out[field] = type === "string[]" ? toStringList(v) : toScalarString(v);
+  }
+  return out;
+}
+
+export function hasMetadata(meta) {
+  return Object.values(meta || {}).some((v) =>
+    Array.isArray(v) ? v.length > 0 : Boolean(v)
+  );
+}
+
+function canonicalKey(k) {
+  return String(k).toLowerCase().replace(/[_-]/g, "");
+}
+
+function toScalarString(v) {
+  if (v === undefined || v === null) return "";
+  // YAML turns 2024-01-01 into a Date; keep it as an ISO date
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  if (Array.isArray(v)) return v.map(toScalarString).join(", ");
+  return String(v).trim();
+}
+
+function toStringList(v) {
+  if (v === undefined || v === null || v === "") return [];
+  const list = Array.isArray(v) ? v : String(v).split(",");
+  return [...new Set(list.map(toScalarString).filter(Boolean))];
+}
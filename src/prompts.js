@@ -1,4 +1,4 @@
-// hree prompts:
+// Prompts:
 // ANSWER_INSTRUCTIONS
 
 // Forces the model:
@@ -22,13 +22,29 @@
 // Generates a hypothetical answer
 // Used only for retrieval embedding (not shown to user).
 
+// RERANK_INSTRUCTIONS
+
+// LLM listwise reranking: returns {"ranking":[...]} passage numbers
+
+// CONDENSE_INSTRUCTIONS
+
+// Rewrites a follow-up ("what about annual plans?") into a standalone
+// question using the conversation history, before multi-query/HyDE
+
+// GROUNDEDNESS_INSTRUCTIONS
+
+// LLM judge for the groundedness check: one verdict per answer claim
+// {"verdicts":[{"claim":1,"supported":true}]}
+
 // Interview line:
 // “We use prompt constraints to control model behavior and reduce hallucination risk.”
 
 export const ANSWER_INSTRUCTIONS = `
 You are a careful assistant. Answer ONLY using the provided CONTEXT.
+CONVERSATION HISTORY (if present) is only there to understand the question; never cite it.
 If the answer is not in the context, say: "I don't know from the provided documents."
-Cite sources inline like: [source: filename#chunkIndex].
+Cite sources inline using the ids from the context, like: [source: filename#chunkIndex].
+Only cite sources that appear in the context.
 Keep the answer clear and structured.
 `.trim();
 
@@ -47,3 +63,39 @@ export const HYDE_INSTRUCTIONS = `
 Write a short answer (3-6 sentences) to the user's question.
 This is only used for retrieval. Do not mention it's hypothetical.
 `.trim();
+
+export const RERANK_INSTRUCTIONS = `
+You rank passages by how useful they are for answering the user's question.
+You get the QUESTION and numbered PASSAGES.
+Return ONLY valid JSON with this exact shape:
+{"ranking":[3,1,2]}
+
+Rules:
+- List passage numbers from most to least useful.
+- Include every passage number exactly once.
+- No extra keys. No markdown. No commentary.
+`.trim();
+
+export const CONDENSE_INSTRUCTIONS = `
+You rewrite a follow-up question into a standalone question.
+You get the CONVERSATION so far and the FOLLOW-UP question.
+Return ONLY the standalone question, in the language of the follow-up.
+
+Rules:
+- Resolve pronouns and references ("it", "that plan", "what about...") using the conversation.
+- Keep every constraint from the follow-up. Do not answer it.
+- If the follow-up is already standalone, return it unchanged.
+`.trim();
+
+export const GROUNDEDNESS_INSTRUCTIONS = `
+You check whether claims are supported by the CONTEXT.
+You get the CONTEXT and numbered CLAIMS taken from an answer.
+A claim is supported only if the context states it or it follows directly from the context.
+Return ONLY valid JSON with this exact shape:
+{"verdicts":[{"claim":1,"supported":true},{"claim":2,"supported":false}]}
+
+Rules:
+- One verdict per claim number.
+- General knowledge that is not in the context is NOT supported.
+- No extra keys. No markdown. No commentary.
+`.trim();
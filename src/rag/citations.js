@@ -0,0 +1,184 @@
+// What it does
+
+// Turns the [source: ...] markers in a generated answer into structured
+// citations, and checks them against the chunks that were actually in the
+// context.
+
+// Why
+
+// ANSWER_INSTRUCTIONS asks the model to cite like [source: file#chunk], but a
+// model can cite a passage it never saw (or mistype one). Clients need to
+// know which markers point at real passages.
+
+// What it returns
+
+// answer: the answer with markers normalized to the context's citation ids
+//   (invalid refs stripped, or kept as-is in "flag" mode)
+
+// citations: one entry per cited chunk
+//   { index, citationId, id, source, page?, headingPath?, snippet, offsets }
+//   offsets = positions of its markers in the returned answer
+
+// invalidCitations: refs that don't match any context chunk
+//   { ref, marker, reason }
+
+// uncitedSources: chunk ids that were in the context but never cited
+
+export const INVALID_CITATION_MODES = ["strip", "flag"];
+
+// [source: a#1] or [source: a#1, b#2] (also "sources:" and ";" separators)
+const MARKER_RE = /\[sources?:\s*([^\]]*)\]/gi;
+
+export function citationIdOf(item) {
+  return item.citationId || `${item.source}#${item.chunkIndex}`;
+}
+
+function basename(p) {
+  return String(p).split(/[\\/]/).pop();
+}
+
+/**
+ * Lookup from every accepted spelling of a chunk reference → hit:
+ * citationId, source#chunkIndex, chunk id, and (when unambiguous) the same
+ * refs with the directory dropped ("refunds.md#0" for "data/refunds.md#0").
+ */
+function buildRefLookup(hits) {
+  const lookup = new Map();
+  const byBasename = new Map();
+
+  const add = (ref, h) => {
+    if (ref) lookup.set(normalizeRef(ref), h);
+  };
+
+  for (const h of hits) {
+    const citationId = citationIdOf(h.item);
+    add(citationId, h);
+    add(`${h.item.source}#${h.item.chunkIndex}`, h);
+    add(h.item.id, h);
+
+    for (const ref of [citationId, `${h.item.source}#${h.item.chunkIndex}`]) {
+      const key = normalizeRef(basename(ref));
+      const prev = byBasename.get(key);
+      byBasename.set(key, prev && prev !== h ? null : h); // null = ambiguous
+    }
+  }
+
+  for (const [key, h] of byBasename) {
+    if (h && !lookup.has(key)) lookup.set(key, h);
+  }
+  return lookup;
+}
+
+function normalizeRef(ref) {
+  return String(ref)
+    .trim()
+    .replace(/^["'`]+|["'`]+$/g, "")
+    .toLowerCase();
+}
+
+export function makeSnippet(content, maxChars) {
+  const s = String(content || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return s.length > maxChars ? `${s.slice(0, maxChars).trimEnd()} …` : s;
+}
+
+/**
+ * resolveCitations(answer, hits, options?)
+ * hits: the chunks that were packed into the context ({ item } objects)
+ * options:
+ * {
+ *   invalid?: "strip" | "flag"   // what to do with refs that match no chunk
+ *   snippetChars?: number
+ * }
+ */
+export function resolveCitations(
+  answer,
+  hits,
+  { invalid = "strip", snippetChars = 200 } = {}
+) {
+  const text = String(answer || "");
+  const lookup = buildRefLookup(hits);
+
+  const citations = [];
+  const citationByHit = new Map();
+  const invalidCitations = [];
+
+  let out = "";
+  let last = 0;
+
+  for (const m of text.matchAll(MARKER_RE)) {
+    const marker = m[0];
+    const refs = m[1]
+      .split(/[,;]/)
+      .map((r) => r.trim())
+      .filter(Boolean);
+
+    const valid = [];
+    for (const ref of refs) {
+      const h = lookup.get(normalizeRef(ref));
+      if (!h) {
+        invalidCitations.push({
+          ref,
+          marker,
+          reason: "not in context",
+        });
+        continue;
+      }
+      if (!citationByHit.has(h)) {
+        const entry = {
+          index: citations.length + 1,
+          citationId: citationIdOf(h.item),
+          id: h.item.id,
+          source: h.item.source,
+          page: h.item.page || undefined,
+          headingPath: h.item.headingPath || undefined,
+          snippet: makeSnippet(h.item.content, snippetChars),
+          offsets: [],
+        };
+        citations.push(entry);
+        citationByHit.set(h, entry);
+      }
+      valid.push(citationByHit.get(h));
+    }
+
+    let prefix = text.slice(last, m.index);
+    last = m.index + marker.length;
+
+    let replacement;
+    if (invalid === "flag" && valid.length < refs.length) {
+      // keep it as written; the bad refs are reported in invalidCitations
+      replacement = marker;
+    } else if (valid.length > 0) {
+      replacement = `[source: ${uniq(valid.map((c) => c.citationId)).join(
+        ", "
+      )}]`;
+    } else {
+      // nothing valid left → drop the marker (and the space before it)
+      replacement = "";
+      prefix = prefix.replace(/[ \t]+$/, "");
+    }
+
+    out += prefix;
+    if (replacement) {
+      for (const c of uniq(valid)) c.offsets.push(out.length);
+      out += replacement;
+    }
+  }
+  out += text.slice(last);
+
+  const uncitedSources = hits
+    .filter((h) => !citationByHit.has(h))
+    .map((h) => h.item.id);
+
+  return {
+    answer: out,
+    citations,
+    invalidCitations,
+    uncitedSources,
+  };
+}
+
+function uniq(arr) {
+  return [...new Set(arr)];
+}
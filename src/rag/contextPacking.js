@@ -0,0 +1,219 @@
+// What it does
+
+// Token-budgeted context packing: turns the ranked, diversity-filtered hits
+// into the CONTEXT string for the answer prompt.
+
+// 1) walk the hits in rank order and add each one whose block fits in the
+//    remaining token budget
+
+// 2) the first hit that doesn't fit is trimmed at sentence boundaries to
+//    the space left (if enough is left); later hits that don't fit are
+//    skipped, so smaller lower-ranked ones can still use the rest. Packing
+//    stops once less than minTrimTokens is left. If nothing fits at all, the
+//    top hit is cut to the budget.
+
+// 3) adjacent chunks of the same source (chunkIndex n, n+1) are merged into
+//    one block, with the chunk overlap removed:
+//    [source: a.md#3, a.md#4]
+
+// 4) blocks are ordered by their best-ranked chunk
+
+// Why
+
+// A fixed number of chunks sends too little context when chunks are small
+// and too much (cost) when they are large; a budget keeps the prompt size
+// predictable.
+
+import { countTokens, tokenSizer } from "../tokenizer.js";
+import { splitSentences } from "../semanticChunk.js";
+import { citationIdOf } from "./citations.js";
+
+const BLOCK_SEPARATOR = "\n\n---\n\n";
+
+function renderBlock({ citationIds, headingPath, content }) {
+  const section = headingPath ? `[section: ${headingPath}]\n` : "";
+  return `[source: ${citationIds.join(", ")}]\n${section}${content}`;
+}
+
+/** Blocks → CONTEXT string (what the answer prompt sees) */
+export function renderContext(blocks) {
+  return blocks.map(renderBlock).join(BLOCK_SEPARATOR);
+}
+
+/**
+ * Longest prefix of `next` that `prev` ends with (the chunk overlap), so
+ * merged neighbours don't repeat text. Short matches (< minOverlap chars)
+ * are ignored as coincidences.
+ */
+function stripOverlap(prev, next, { maxOverlap = 2000, minOverlap = 20 } = {}) {
+  const max = Math.min(prev.length, next.length, maxOverlap);
+  for (let len = max; len >= minOverlap; len--) {
+    if (prev.endsWith(next.slice(0, len))) return next.slice(len);
+  }
+  return next;
+}
+
+/** Leading sentences of `text` that fit in `maxTokens` ("" if none fit) */
+function trimToTokens(text, maxTokens, tokens) {
+  let out = "";
+  for (const sentence of splitSentences(text)) {
+    const candidate = out ? `${out} ${sentence}` : sentence;
+    if (tokens(candidate) > maxTokens) break;
+    out = candidate;
+  }
+  return out;
+}
+
+/**
+ * packContext(hits, options)
+ * hits: ranked candidates ({ item, score })
+ * options:
+ * {
+ *   budget: number          // max tokens for the whole context
+ *   maxChunks?: number      // upper bound on chunks, regardless of budget
+ *   minTrimTokens?: number  // don't add a trimmed chunk smaller than this
+ *   encoding?: string       // tokenizer encoding (default: cl100k_base)
+ * }
+ * Returns:
+ * {
+ *   selected: hits that made it into the context (rank order),
+ *   blocks: [{ hits, citationIds, source, headingPath, content }],
+ *   context: string,
+ *   usage: { budget, used, chunks: [{ id, citationId, tokens, trimmed }] }
+ * }
+ */
+export function packContext(
+  hits,
+  { budget, maxChunks = Infinity, minTrimTokens = 50, encoding } = {}
+) {
+  const tokens = (s) => countTokens(s, { encoding });
+  const head = (s, n) => tokenSizer({ encoding }).head(s, n);
+  const separatorTokens = tokens(BLOCK_SEPARATOR);
+
+  // 1) + 2) greedy fill in rank order
+  const packed = [];
+  let used = 0;
+  let trimmedOne = false;
+
+  const blockOf = (h, content = String(h.item.content || "")) => ({
+    citationIds: [citationIdOf(h.item)],
+    headingPath: h.item.headingPath,
+    content,
+  });
+
+  for (const h of hits) {
+    if (packed.length >= maxChunks) break;
+    if (packed.length && budget - used < minTrimTokens) break;
+
+    const block = blockOf(h);
+    const overhead = packed.length ? separatorTokens : 0;
+    const cost = tokens(renderBlock(block)) + overhead;
+
+    if (used + cost <= budget) {
+      packed.push({
+        hit: h,
+        content: block.content,
+        tokens: cost,
+        trimmed: false,
+      });
+      used += cost;
+      continue;
+    }
+
+    // one chunk that doesn't fit is cut to whole sentences; the ones after
+    // it are only added if they fit whole (a smaller, lower-ranked chunk may)
+    if (trimmedOne) continue;
+    const headerTokens =
+      tokens(renderBlock({ ...block, content: "" })) + overhead;
+    const room = budget - used - headerTokens;
+    if (room < minTrimTokens) continue;
+    const content = trimToTokens(block.content, room, tokens);
+    if (!content) continue;
+
+    const trimmedCost = tokens(renderBlock({ ...block, content })) + overhead;
+    packed.push({ hit: h, content, tokens: trimmedCost, trimmed: true });
+    used += trimmedCost;
+    trimmedOne = true;
+  }
+
+  // nothing fit, not even a sentence: the top hit cut to the budget, so a
+  // tight budget never reads as "no matching passages"
+  if (packed.length === 0 && hits.length && maxChunks > 0) {
+    const h = hits[0];
+    const room = budget - tokens(renderBlock(blockOf(h, "")));
+    const content = room > 0 ? head(String(h.item.content || ""), room) : "";
+    if (content) {
+      packed.push({
+        hit: h,
+        content,
+        tokens: tokens(renderBlock(blockOf(h, content))),
+        trimmed: true,
+      });
+    }
+  }
+
+  // 3) merge chunk n with chunk n+1 of the same source
+  const bySource = new Map();
+  packed.forEach((p, rank) => {
+    const key = p.hit.item.source;
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push({ ...p, rank });
+  });
+
+  const blocks = [];
+  for (const [source, parts] of bySource) {
+    parts.sort((a, b) => a.hit.item.chunkIndex - b.hit.item.chunkIndex);
+
+    let current = null;
+    for (const p of parts) {
+      const adjacent =
+        current &&
+        !current.last.trimmed && // a trimmed chunk lost its tail → gap
+        p.hit.item.chunkIndex === current.last.hit.item.chunkIndex + 1;
+
+      if (adjacent) {
+        current.content += stripOverlap(current.content, p.content);
+        current.hits.push(p.hit);
+        current.citationIds.push(citationIdOf(p.hit.item));
+        current.rank = Math.min(current.rank, p.rank);
+        current.last = p;
+      } else {
+        current = {
+          source,
+          hits: [p.hit],
+          citationIds: [citationIdOf(p.hit.item)],
+          headingPath: p.hit.item.headingPath,
+          content: p.content,
+          rank: p.rank,
+          last: p,
+        };
+        blocks.push(current);
+      }
+    }
+  }
+
+  // 4) best-ranked block first
+  blocks.sort((a, b) => a.rank - b.rank);
+  for (const b of blocks) {
+    delete b.last;
+    delete b.rank;
+  }
+
+  const context = renderContext(blocks);
+
+  return {
+    selected: packed.map((p) => p.hit),
+    blocks,
+    context,
+    usage: {
+      budget,
+      used: tokens(context),
+      chunks: packed.map((p) => ({
+        id: p.hit.item.id,
+        citationId: citationIdOf(p.hit.item),
+        tokens: p.tokens,
+        trimmed: p.trimmed,
+      })),
+    },
+  };
+}
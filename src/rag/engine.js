@@ -30,7 +30,7 @@
 
 // Error handling
 
-// classifyOpenAIError() decides:
+// classifyError() decides (per provider, see generation.js):
 
 // insufficient_quota
 
@@ -40,6 +40,12 @@
 
 // withRetry() does exponential backoff for transient + rate-limit errors
 
+// Generation providers
+
+// every LLM call goes through the provider of its task (multiQuery, hyde,
+// condense, answer, rerank, groundedness): OpenAI, an OpenAI-compatible
+// server or the deterministic stub
+
 // This gives a real production pattern.
 
 // Augmentation functions
@@ -58,6 +64,10 @@
 
 // pickDiverse() reduces duplicate context chunks
 
+// Context packing
+
+// packContext() fills a token budget (per model) with the diverse chunks
+
 // initRagEngine() factory
 // Loads:
 
@@ -69,12 +79,16 @@
 
 // ask(question) function
 
-// reloadStore() (for reindex)
+// askStream(question) async generator (SSE events for /ask/stream)
+
+// reloadStore() (for reindex; switches to the active table version)
 
 // What ask(question) returns
 // {
 //   answer: "...",
 //   sources: ["data/file#idx", ...],
+//   citations: [{ index, citationId, source, snippet, ... }],  // markers → chunks
+//   invalidCitations: [...], uncitedSources: [...],
 //   debug: {...optional}
 // }
 
@@ -99,6 +113,10 @@
 
 // This function runs the full RAG pipeline:
 
+// 0) Conversation (optional, sessionId)
+
+// Loads prior turns and condenses a follow-up into a standalone question
+
 // 1) Augmentation (optional)
 
 // Multi-query rewrite (3 variants)
@@ -123,23 +141,33 @@
 
 // 4) Filtering + must-include (if enabled)
 
-// filters by allowed sources/prefix
+// filters by allowed sources/prefix and document metadata
 
 // enforces keywords present in chunk text
 
-// 5) Diversity selection
+// both are pushed down into the LanceDB query (where prefilter)
+
+// 5) Reranking (optional)
+
+// cross-encoder or LLM re-scores the top N fused hits against the question
+
+// 6) Diversity selection
 
 // picks top chunks but avoids near duplicates (MMR-ish)
 
-// 6) Context packing
+// 7) Context packing
+
+// fills the token budget, merges adjacent chunks, trims the last one
 
 // builds prompt context with [source: ...]
 
-// 7) Answer generation
+// 8) Answer generation
 
 // uses ANSWER_INSTRUCTIONS to keep output grounded
 
-// 8) Cache persistence
+// + groundedness check (optional): claims vs. context, low scores → "I don't know"
+
+// 9) Cache persistence (+ the turn is appended to the session)
 
 // writes caches back to disk safely using a write queue
 
@@ -154,13 +182,37 @@
 // easy to explain in interviews
 import fs from "node:fs/promises";
 import path from "node:path";
-import { client, dot } from "../lib.js";
-import { embedTexts } from "../embed.js";
+import { dot } from "../lib.js";
+import { getEmbeddingProvider } from "../embed.js";
+import {
+  getGenerationProviders,
+  classifyError,
+  withRetry,
+} from "./generation.js";
 import { LanceVectorStore } from "../vectorStore.js";
+import { resolveActiveTable } from "../tableVersions.js";
+import { encodingNameForModel } from "../tokenizer.js";
+import { METADATA_FIELDS } from "../metadata.js";
+import {
+  FUSION_STRATEGIES,
+  NORMALIZATIONS,
+  summarizeComponents,
+} from "../fusion.js";
+import { RERANKERS, createReranker } from "./rerank.js";
+import { SESSION_STORES, createSessionStore } from "./sessions.js";
+import {
+  INVALID_CITATION_MODES,
+  citationIdOf,
+  makeSnippet,
+  resolveCitations,
+} from "./citations.js";
+import { packContext } from "./contextPacking.js";
+import { GROUNDEDNESS_METHODS, verifyGroundedness } from "./groundedness.js";
 import {
   ANSWER_INSTRUCTIONS,
   MULTI_QUERY_INSTRUCTIONS,
   HYDE_INSTRUCTIONS,
+  CONDENSE_INSTRUCTIONS,
 } from "../prompts.js";
 
 /* ---------------- Config ---------------- */
@@ -169,27 +221,115 @@ const EMBED_CACHE_PATH = path.join(CACHE_DIR, "embeddings.json");
 const AUGMENT_CACHE_PATH = path.join(CACHE_DIR, "augment.json");
 const ANSWER_CACHE_PATH = path.join(CACHE_DIR, "answers.json");
 
-const GEN_MODEL = process.env.RAG_GEN_MODEL || "gpt-4.1-mini";
-const EMBED_MODEL = process.env.RAG_EMBED_MODEL || "text-embedding-3-small";
-
 const ENABLE_MULTI_QUERY = (process.env.RAG_MULTI_QUERY ?? "true") === "true";
 const ENABLE_HYDE = (process.env.RAG_HYDE ?? "true") === "true";
 
 const PER_QUERY_TOPK = Number(process.env.RAG_PER_QUERY_TOPK || 8);
 const FINAL_TOPK = Number(process.env.RAG_FINAL_TOPK || 25);
-const CONTEXT_K = Number(process.env.RAG_CONTEXT_K || 6);
+// Context size: a token budget per generation model (RAG_CONTEXT_TOKENS
+// overrides it for every model; RAG_CONTEXT_TOKEN_BUDGETS='{"model":tokens}'
+// adds/overrides per model). RAG_CONTEXT_K only caps the number of chunks.
+const CONTEXT_TOKEN_BUDGETS = {
+  "gpt-4.1": 6000,
+  "gpt-4.1-mini": 4000,
+  "gpt-4.1-nano": 3000,
+  "gpt-4o": 6000,
+  "gpt-4o-mini": 4000,
+  ...parseJsonEnv("RAG_CONTEXT_TOKEN_BUDGETS"),
+};
+const contextTokens = (model) =>
+  Number(process.env.RAG_CONTEXT_TOKENS) ||
+  CONTEXT_TOKEN_BUDGETS[model] ||
+  4000;
+const CONTEXT_K = Number(process.env.RAG_CONTEXT_K || 20);
+
+// /search pagination
+const SEARCH_MAX_LIMIT = Number(process.env.RAG_SEARCH_MAX_LIMIT || 50);
+const SNIPPET_CHARS = 240;
 
 const DEBUG = (process.env.RAG_DEBUG ?? "false") === "true";
 
-// Hybrid toggle
+// Retrieval mode: "hybrid" (vector + BM25), "vector" or "fts" (BM25 only).
+// RAG_HYBRID=false is kept as a shorthand for RAG_RETRIEVAL_MODE=vector.
+export const RETRIEVAL_MODES = ["hybrid", "vector", "fts"];
 const ENABLE_HYBRID = (process.env.RAG_HYBRID ?? "true") === "true";
+const RETRIEVAL_MODE = RETRIEVAL_MODES.includes(process.env.RAG_RETRIEVAL_MODE)
+  ? process.env.RAG_RETRIEVAL_MODE
+  : ENABLE_HYBRID
+  ? "hybrid"
+  : "vector";
 const RRF_K = Number(process.env.RAG_RRF_K || 60);
 
+// Score fusion (see fusion.js)
+const FUSION_STRATEGY = FUSION_STRATEGIES.includes(process.env.RAG_FUSION)
+  ? process.env.RAG_FUSION
+  : "rrf";
+const FUSION_NORMALIZATION = NORMALIZATIONS.includes(
+  process.env.RAG_FUSION_NORMALIZATION
+)
+  ? process.env.RAG_FUSION_NORMALIZATION
+  : "minmax";
+const LIST_WEIGHTS = {
+  vector: Number(process.env.RAG_WEIGHT_VECTOR || 1),
+  fts: Number(process.env.RAG_WEIGHT_FTS || 1),
+};
+const VARIANT_WEIGHTS = {
+  question: Number(process.env.RAG_WEIGHT_QUESTION || 1),
+  rewrite: Number(process.env.RAG_WEIGHT_REWRITE || 1),
+  hyde: Number(process.env.RAG_WEIGHT_HYDE || 1),
+};
+
+// Reranking (see rerank.js): "none" | "cross-encoder" | "llm"
+const RERANKER = RERANKERS.includes(process.env.RAG_RERANKER)
+  ? process.env.RAG_RERANKER
+  : "none";
+const RERANK_TOP_N = Number(process.env.RAG_RERANK_TOP_N || 20);
+const RERANK_MODEL =
+  process.env.RAG_RERANK_MODEL || "Xenova/ms-marco-MiniLM-L-6-v2";
+
+// Citation markers that match no context chunk: "strip" | "flag" (see citations.js)
+const INVALID_CITATIONS = INVALID_CITATION_MODES.includes(
+  process.env.RAG_INVALID_CITATIONS
+)
+  ? process.env.RAG_INVALID_CITATIONS
+  : "strip";
+
+// Groundedness check (see groundedness.js): "off" | "llm" | "lexical"
+const GROUNDEDNESS = GROUNDEDNESS_METHODS.includes(process.env.RAG_GROUNDEDNESS)
+  ? process.env.RAG_GROUNDEDNESS
+  : "off";
+// answers scoring below this are replaced with IDK_ANSWER (0 = never)
+const GROUNDEDNESS_THRESHOLD = Number(
+  process.env.RAG_GROUNDEDNESS_THRESHOLD || 0
+);
+const GROUNDEDNESS_MIN_OVERLAP = Number(
+  process.env.RAG_GROUNDEDNESS_MIN_OVERLAP || 0.6
+);
+
+// Conversation sessions (see sessions.js)
+const SESSION_STORE = SESSION_STORES.includes(process.env.RAG_SESSION_STORE)
+  ? process.env.RAG_SESSION_STORE
+  : "memory";
+const SESSION_DIR =
+  process.env.RAG_SESSION_DIR || path.join(CACHE_DIR, "sessions");
+const HISTORY_TURNS = Number(process.env.RAG_HISTORY_TURNS ?? 4); // prior turns in prompts
+const HISTORY_ANSWER_CHARS = Number(
+  process.env.RAG_HISTORY_ANSWER_CHARS || 600
+); // each prior answer is trimmed to this
+
 const LANCEDB_URI = process.env.LANCEDB_URI || "./.lancedb";
 const LANCEDB_TABLE = process.env.LANCEDB_TABLE || "rag_chunks";
 const VECTOR_COLUMN = process.env.RAG_VECTOR_COLUMN || "vector";
 const FTS_COLUMN = process.env.RAG_FTS_COLUMN || "content";
 
+function parseJsonEnv(name) {
+  try {
+    return JSON.parse(process.env[name] || "{}");
+  } catch {
+    throw new Error(`${name} is not valid JSON`);
+  }
+}
+
 /* ---------------- Cache helpers ---------------- */
 function hashKey(s) {
   let h = 2166136261;
@@ -224,75 +364,34 @@ async function writeJson(filePath, obj) {
   await fs.writeFile(filePath, JSON.stringify(obj, null, 2), "utf-8");
 }
 
-/* ---------------- Error handling ---------------- */
-function classifyOpenAIError(err) {
-  const status = err?.status;
-  const code = err?.code || err?.error?.code;
-  const msg = (err?.message || err?.error?.message || "").toLowerCase();
-
-  const isQuota =
-    status === 429 && (code === "insufficient_quota" || msg.includes("quota"));
-  const isRateLimit =
-    status === 429 &&
-    (code === "rate_limit_exceeded" ||
-      msg.includes("rate limit") ||
-      msg.includes("too many requests"));
-
-  const isTransient =
-    (status >= 500 && status <= 599) ||
-    msg.includes("timeout") ||
-    msg.includes("temporarily");
-
-  return { status, code, isQuota, isRateLimit, isTransient };
-}
-
-async function withRetry(
-  fn,
-  { label = "operation", maxRetries = 4, log } = {}
-) {
-  let attempt = 0;
-  while (true) {
-    try {
-      return await fn();
-    } catch (err) {
-      const info = classifyOpenAIError(err);
-      if (info.isQuota) throw err;
-
-      const canRetry = info.isRateLimit || info.isTransient;
-      if (!canRetry || attempt >= maxRetries) throw err;
-
-      const backoffMs =
-        Math.min(8000, 500 * 2 ** attempt) + Math.floor(Math.random() * 250);
-      log?.warn?.(`${label} failed; retrying`, {
-        attempt: attempt + 1,
-        backoffMs,
-        status: info.status,
-        code: info.code,
-      });
-      await new Promise((r) => setTimeout(r, backoffMs));
-      attempt++;
-    }
-  }
-}
-
 /* ---------------- Diversity selection (MMR-ish) ---------------- */
-function pickDiverse(
-  hits,
-  { k = CONTEXT_K, lambda = 0.8, minKeep = 0.1 } = {}
-) {
+// Drops candidates that mostly repeat already picked chunks; the token budget
+// (packContext) decides how many of the remaining ones are used.
+// Scores are min-max normalized over the candidates (best 1, worst 0), so the
+// same thresholds work for RRF (~0.03), linear fusion (z-scores can be zero or
+// negative) and reranker (0..1) scores.
+function pickDiverse(hits, { k = Infinity, lambda = 0.8, minKeep = 0.1 } = {}) {
   const picked = [];
   const pickedEmbeds = [];
+  const scores = hits.map((h) => h.score);
+  const minScore = Math.min(...scores);
+  const range = Math.max(...scores) - minScore;
 
   for (const h of hits) {
     if (picked.length >= k) break;
 
     let maxSimToPicked = 0;
     for (const pe of pickedEmbeds) {
+      if (!h.item.embeddingUnit || !pe) continue;
       const sim = dot(h.item.embeddingUnit, pe);
       if (sim > maxSimToPicked) maxSimToPicked = sim;
     }
 
-    const mmrScore = lambda * h.score - (1 - lambda) * maxSimToPicked;
+    // all scores equal (or a single hit): every hit counts as top-ranked
+    const relScore = range > 0 ? (h.score - minScore) / range : 1;
+    // novelty (not -similarity), so the worst hit (relScore 0) is only
+    // dropped when it repeats a picked chunk
+    const mmrScore = lambda * relScore + (1 - lambda) * (1 - maxSimToPicked);
 
     if (picked.length === 0 || mmrScore > minKeep) {
       picked.push(h);
@@ -302,77 +401,15 @@ function pickDiverse(
   return picked;
 }
 
-function buildContextBlock(selectedHits) {
-  return selectedHits
-    .map((h) => {
-      const citation =
-        h.item.citationId || `${h.item.source}#${h.item.chunkIndex}`;
-      return `[source: ${citation}]\n${h.item.content}`;
-    })
-    .join("\n\n---\n\n");
-}
-
-/* ---------------- Filtering helpers ---------------- */
-
-/**
- * filters:
- * {
- *   sources?: string[]        // allow-list of sources
- *   sourcePrefix?: string     // allow sources starting with prefix
- * }
- */
-function applySourceFilters(hits, filters) {
-  if (!filters) return hits;
-
-  const allowSources = Array.isArray(filters.sources)
-    ? new Set(filters.sources)
-    : null;
-  const prefix =
-    typeof filters.sourcePrefix === "string" ? filters.sourcePrefix : null;
-
-  return hits.filter((h) => {
-    const src = h.item.source;
-
-    if (allowSources && !allowSources.has(src)) return false;
-    if (prefix && !src.startsWith(prefix)) return false;
-
-    return true;
-  });
-}
-
-/**
- * mustInclude: string[] keywords
- * mode: "all" | "any"
- *
- * Applies AFTER retrieval.
- * We retrieve extra candidates first so filtering doesn't kill recall.
- */
-function applyMustInclude(hits, mustInclude, mode = "all") {
-  if (!Array.isArray(mustInclude) || mustInclude.length === 0) return hits;
-
-  const kws = mustInclude.map((k) => String(k).toLowerCase()).filter(Boolean);
-  if (kws.length === 0) return hits;
-
-  return hits.filter((h) => {
-    const text = (h.item.content || "").toLowerCase();
-
-    if (mode === "any") {
-      return kws.some((k) => text.includes(k));
-    }
-    // default: "all"
-    return kws.every((k) => text.includes(k));
-  });
-}
-
 /* ---------------- Cached augmentation ---------------- */
-async function getMultiQueriesCached(question, augmentCache, log) {
-  const key = `mq:${GEN_MODEL}:${hashKey(question)}`;
+async function getMultiQueriesCached(question, augmentCache, { gen, log }) {
+  const key = `mq:${gen.id}:${hashKey(question)}`;
   if (augmentCache[key]) return augmentCache[key];
 
-  const resp = await withRetry(
+  const output = await withRetry(
     () =>
-      client.responses.create({
-        model: GEN_MODEL,
+      gen.complete({
+        task: "multiQuery",
         instructions: MULTI_QUERY_INSTRUCTIONS,
         input: question,
         temperature: 0.2,
@@ -380,11 +417,23 @@ async function getMultiQueriesCached(question, augmentCache, log) {
     { label: "multi-query", log }
   );
 
-  const raw = resp.output_text?.trim() || "";
+  const raw = output.trim();
   let queries = [];
   try {
     const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed.queries)) queries = parsed.queries.slice(0, 3);
+    if (Array.isArray(parsed.queries)) {
+      // non-strings and blanks would break embedding; a rewrite equal to the
+      // question (or another rewrite) would only double its fusion weight
+      const seen = new Set([question.trim().toLowerCase()]);
+      for (const q of parsed.queries) {
+        if (typeof q !== "string" || !q.trim()) continue;
+        const norm = q.trim().toLowerCase();
+        if (seen.has(norm)) continue;
+        seen.add(norm);
+        queries.push(q.trim());
+        if (queries.length === 3) break;
+      }
+    }
   } catch {
     queries = [];
   }
@@ -393,14 +442,14 @@ async function getMultiQueriesCached(question, augmentCache, log) {
   return queries;
 }
 
-async function getHydeCached(question, augmentCache, log) {
-  const key = `hyde:${GEN_MODEL}:${hashKey(question)}`;
+async function getHydeCached(question, augmentCache, { gen, log }) {
+  const key = `hyde:${gen.id}:${hashKey(question)}`;
   if (augmentCache[key]) return augmentCache[key];
 
-  const resp = await withRetry(
+  const output = await withRetry(
     () =>
-      client.responses.create({
-        model: GEN_MODEL,
+      gen.complete({
+        task: "hyde",
         instructions: HYDE_INSTRUCTIONS,
         input: question,
         temperature: 0.3,
@@ -408,14 +457,60 @@ async function getHydeCached(question, augmentCache, log) {
     { label: "hyde", log }
   );
 
-  const hyde = (resp.output_text || "").trim();
+  const hyde = output.trim();
   augmentCache[key] = hyde;
   return hyde;
 }
 
+/* ---------------- Conversation history ---------------- */
+function trimText(text, maxChars) {
+  const s = String(text || "").trim();
+  return s.length > maxChars ? `${s.slice(0, maxChars).trimEnd()} …` : s;
+}
+
+// Last HISTORY_TURNS turns as "User: / Assistant:" lines (answers trimmed)
+function formatHistory(turns = []) {
+  if (HISTORY_TURNS <= 0) return "";
+  return turns
+    .slice(-HISTORY_TURNS)
+    .map(
+      (t) =>
+        `User: ${t.question}\nAssistant: ${trimText(
+          t.answer,
+          HISTORY_ANSWER_CHARS
+        )}`
+    )
+    .join("\n\n");
+}
+
+async function condenseQuestionCached(
+  question,
+  history,
+  augmentCache,
+  { gen, log }
+) {
+  const key = `condense:${gen.id}:${hashKey(history)}:${hashKey(question)}`;
+  if (augmentCache[key]) return augmentCache[key];
+
+  const output = await withRetry(
+    () =>
+      gen.complete({
+        task: "condense",
+        instructions: CONDENSE_INSTRUCTIONS,
+        input: `CONVERSATION:\n${history}\n\nFOLLOW-UP:\n${question}`,
+        temperature: 0,
+      }),
+    { label: "condense", log }
+  );
+
+  const standalone = output.trim() || question;
+  augmentCache[key] = standalone;
+  return standalone;
+}
+
 /* ---------------- Cached embeddings ---------------- */
-async function embedTextsCached(texts, embedCache, log) {
-  const keys = texts.map((t) => `emb:${EMBED_MODEL}:${hashKey(t)}`);
+async function embedTextsCached(texts, embedCache, { embeddings, log }) {
+  const keys = texts.map((t) => `emb:${embeddings.id}:${hashKey(t)}`);
   const misses = [];
   const missIndexes = [];
 
@@ -427,10 +522,10 @@ async function embedTextsCached(texts, embedCache, log) {
   });
 
   if (misses.length > 0) {
-    const vectors = await withRetry(
-      () => embedTexts(misses, { model: EMBED_MODEL }),
-      { label: "embeddings", log }
-    );
+    const vectors = await withRetry(() => embeddings.embed(misses), {
+      label: "embeddings",
+      log,
+    });
 
     vectors.forEach((v, j) => {
       embedCache[keys[missIndexes[j]]] = v;
@@ -441,31 +536,138 @@ async function embedTextsCached(texts, embedCache, log) {
 }
 
 /* ---------------- Cached answering ---------------- */
-async function answerWithContextCached(question, context, answerCache, log) {
-  const key = `ans:${GEN_MODEL}:${hashKey(question)}:${hashKey(context)}`;
+function answerCacheKey(gen, question, context, history = "") {
+  const key = `ans:${gen.id}:${hashKey(question)}:${hashKey(context)}`;
+  return history ? `${key}:${hashKey(history)}` : key;
+}
+
+function answerInput(question, context, history = "") {
+  const conversation = history ? `CONVERSATION HISTORY:\n\n${history}\n\n` : "";
+  return `${conversation}CONTEXT:\n\n${context}\n\nUSER QUESTION:\n${question}`;
+}
+
+async function answerWithContextCached(
+  question,
+  context,
+  answerCache,
+  { gen, log, history = "" }
+) {
+  const key = answerCacheKey(gen, question, context, history);
   if (answerCache[key]) return answerCache[key];
 
-  const resp = await withRetry(
+  const out = await withRetry(
     () =>
-      client.responses.create({
-        model: GEN_MODEL,
+      gen.complete({
+        task: "answer",
         instructions: ANSWER_INSTRUCTIONS,
-        input: `CONTEXT:\n\n${context}\n\nUSER QUESTION:\n${question}`,
+        input: answerInput(question, context, history),
         temperature: 0.2,
       }),
     { label: "answer", log }
   );
 
-  const out = resp.output_text;
   answerCache[key] = out;
   return out;
 }
 
+/**
+ * Streams answer tokens (text deltas) from the model.
+ * Only opening the stream is retried; once tokens flow, errors propagate.
+ * Aborting `signal` cancels the upstream request.
+ */
+async function* streamAnswer(
+  question,
+  context,
+  { gen, log, signal, history = "" }
+) {
+  const stream = await withRetry(
+    () =>
+      gen.stream({
+        task: "answer",
+        instructions: ANSWER_INSTRUCTIONS,
+        input: answerInput(question, context, history),
+        temperature: 0.2,
+        signal,
+      }),
+    { label: "answer-stream", log }
+  );
+
+  yield* stream;
+}
+
+/* ---------------- Search results ---------------- */
+// Document metadata columns that are set (empty strings/lists dropped)
+function hitMetadata(item) {
+  const out = {};
+  for (const name of Object.keys(METADATA_FIELDS)) {
+    const v = item[name];
+    if (Array.isArray(v) ? v.length : v) out[name] = v;
+  }
+  return out;
+}
+
+function toSearchHit(h, rank, { includeContent = true } = {}) {
+  const { byList, components } = summarizeComponents(h);
+  return {
+    rank,
+    id: h.item.id,
+    citationId: citationIdOf(h.item),
+    source: h.item.source,
+    chunkIndex: h.item.chunkIndex,
+    page: h.item.page || undefined,
+    headingPath: h.item.headingPath || undefined,
+    metadata: hitMetadata(h.item),
+    snippet: makeSnippet(h.item.content, SNIPPET_CHARS),
+    content: includeContent ? h.item.content : undefined,
+    score: h.score,
+    scores: {
+      byList,
+      components,
+      retrievalScore: h.retrievalScore,
+      rerankScore: h.rerankScore,
+    },
+  };
+}
+
+function groundednessMethod(options) {
+  return GROUNDEDNESS_METHODS.includes(options.groundedness)
+    ? options.groundedness
+    : GROUNDEDNESS;
+}
+
+function answerQuotaError(err) {
+  const info = classifyError(err);
+  if (!info.isQuota) return err;
+  const e = new Error(
+    "No API quota for answering. Add credits or use a local LLM (RAG_GEN_PROVIDER=openai-compatible)."
+  );
+  e.statusCode = 503;
+  return e;
+}
+
+/* ---------------- Judge calls (rerank, groundedness) ---------------- */
+async function completeDeterministic(instructions, input, { task, gen, log }) {
+  return withRetry(
+    () => gen.complete({ task, instructions, input, temperature: 0 }),
+    { label: task, log }
+  );
+}
+
+const IDK_ANSWER = "I don't know from the provided documents.";
+
+const NO_MATCH_ANSWER =
+  "I couldn't find relevant passages that match your filters/keywords in the provided documents.";
+
 /* ---------------- Engine factory ---------------- */
-export async function initRagEngine({ log = console } = {}) {
+export async function initRagEngine({
+  log = console,
+  sessions = createSessionStore(SESSION_STORE, { dir: SESSION_DIR }),
+  embeddings = getEmbeddingProvider(),
+  generation = getGenerationProviders(),
+} = {}) {
   const store = await LanceVectorStore.init({
     uri: LANCEDB_URI,
-    tableName: LANCEDB_TABLE,
+    tableName: await resolveActiveTable(LANCEDB_TABLE),
     vectorColumn: VECTOR_COLUMN,
     ftsColumn: FTS_COLUMN,
   });
@@ -479,6 +681,26 @@ export async function initRagEngine({ log = console } = {}) {
   const augmentCache = await readJsonSafe(AUGMENT_CACHE_PATH, {});
   const answerCache = await readJsonSafe(ANSWER_CACHE_PATH, {});
 
+  // one instance per kind (the cross-encoder keeps its model loaded)
+  const rerankers = new Map();
+  function getReranker(kind) {
+    if (!rerankers.has(kind)) {
+      rerankers.set(
+        kind,
+        createReranker(kind, {
+          model: RERANK_MODEL,
+          complete: (instructions, input) =>
+            completeDeterministic(instructions, input, {
+              task: "rerank",
+              gen: generation.rerank,
+              log,
+            }),
+        })
+      );
+    }
+    return rerankers.get(kind);
+  }
+
   async function persistCaches() {
     await queueCacheWrite(async () => {
       await writeJson(EMBED_CACHE_PATH, embedCache);
@@ -487,169 +709,569 @@ export async function initRagEngine({ log = console } = {}) {
     });
   }
 
+  /**
+   * Step 0): with a sessionId, load the prior turns and condense a follow-up
+   * into a standalone question (best-effort: on quota errors the question is
+   * used as-is). Returns { question, history, conversation? }.
+   */
+  async function resolveQuestion(question, sessionId) {
+    if (!sessionId) return { question, history: "" };
+
+    const session = await sessions.get(sessionId);
+    const history = formatHistory(session?.turns);
+    let standalone = question;
+
+    if (history) {
+      try {
+        standalone = await condenseQuestionCached(
+          question,
+          history,
+          augmentCache,
+          { gen: generation.condense, log }
+        );
+      } catch (err) {
+        const info = classifyError(err);
+        if (!info.isQuota) throw err;
+        log.warn?.("No quota for condensing; using the follow-up as-is.", {
+          code: info.code,
+        });
+      }
+    }
+
+    return {
+      question: standalone,
+      history,
+      conversation: {
+        sessionId,
+        priorTurns: session?.turns.length || 0,
+        standaloneQuestion: standalone,
+      },
+    };
+  }
+
+  /**
+   * Groundedness check of a generated answer (cached like answers, unless
+   * it fell back to another method).
+   * Returns { answer, groundedness? }: the answer is replaced with IDK_ANSWER
+   * when the score is below GROUNDEDNESS_THRESHOLD.
+   */
+  async function checkGroundedness(answer, blocks, context, method) {
+    if (method === "off" || blocks.length === 0) return { answer };
+
+    const key = `ground:${generation.groundedness.id}:${method}:${hashKey(
+      answer
+    )}:${hashKey(context)}`;
+    let result = answerCache[key];
+    if (!result) {
+      result = await verifyGroundedness(answer, blocks, {
+        method,
+        context,
+        minOverlap: GROUNDEDNESS_MIN_OVERLAP,
+        complete: (instructions, input) =>
+          completeDeterministic(instructions, input, {
+            task: "groundedness",
+            gen: generation.groundedness,
+            log,
+          }),
+        isQuotaError: (err) => classifyError(err).isQuota,
+        log,
+      });
+      // a fallback (e.g. lexical after an LLM quota error) is not what was
+      // asked for; caching it would pin it for good
+      if (result.method === method) answerCache[key] = result;
+    }
+
+    const replaced = result.score < GROUNDEDNESS_THRESHOLD;
+    return {
+      answer: replaced ? IDK_ANSWER : answer,
+      groundedness: {
+        ...result,
+        threshold: GROUNDEDNESS_THRESHOLD,
+        replaced,
+      },
+    };
+  }
+
+  async function recordTurn(sessionId, turn) {
+    if (!sessionId) return;
+    try {
+      await sessions.appendTurn(sessionId, turn);
+    } catch (err) {
+      log.warn?.("Could not save conversation turn.", {
+        sessionId,
+        error: err?.message,
+      });
+    }
+  }
+
+  /**
+   * Steps 1)–6): augment, embed, retrieve (+ filters), rerank and drop near
+   * duplicates. Shared by search(), ask() and askStream().
+   * `minHits` raises the candidate pool (per query list, fused list and
+   * reranked top N), e.g. for a later search page.
+   * Returns { hits, debug } (hits in rank order, [] when nothing matched).
+   */
+  async function retrieve(question, options = {}, { minHits = 0 } = {}) {
+    const { filters, mustInclude, mustIncludeMode = "all" } = options;
+    const retrievalMode = RETRIEVAL_MODES.includes(options.retrievalMode)
+      ? options.retrievalMode
+      : RETRIEVAL_MODE;
+    const rerankerKind = RERANKERS.includes(options.reranker)
+      ? options.reranker
+      : RERANKER;
+
+    // 1) Augment query (best-effort)
+    let rewrites = [];
+    let hyde = "";
+
+    try {
+      if (ENABLE_MULTI_QUERY)
+        rewrites = await getMultiQueriesCached(question, augmentCache, {
+          gen: generation.multiQuery,
+          log,
+        });
+      if (ENABLE_HYDE)
+        hyde = await getHydeCached(question, augmentCache, {
+          gen: generation.hyde,
+          log,
+        });
+    } catch (err) {
+      const info = classifyError(err);
+      if (info.isQuota) {
+        log.warn?.(
+          "No quota for augmentation; continuing without rewrites/HyDE.",
+          { code: info.code }
+        );
+        rewrites = [];
+        hyde = "";
+      } else {
+        throw err;
+      }
+    }
+
+    // Keep texts aligned with embeddings (and with their fusion weights)
+    const variants = [
+      { kind: "question", text: question },
+      ...rewrites.map((text) => ({ kind: "rewrite", text })),
+      { kind: "hyde", text: hyde },
+    ].filter((v) => Boolean(v.text));
+    const variantTexts = variants.map((v) => v.text);
+
+    // 2) Embed query variants (keyword-only retrieval doesn't need them)
+    let variantEmbeds = [];
+    try {
+      if (retrievalMode !== "fts") {
+        // never embed queries with another model than the table's vectors
+        store.checkEmbedding({ id: embeddings.id });
+        variantEmbeds = await embedTextsCached(variantTexts, embedCache, {
+          embeddings,
+          log,
+        });
+        store.checkEmbedding({
+          id: embeddings.id,
+          dimension: variantEmbeds[0]?.length,
+        });
+      }
+    } catch (err) {
+      const info = classifyError(err);
+      if (info.isQuota) {
+        const e = new Error(
+          "No API quota for embeddings. Add credits or use local embeddings (RAG_EMBED_PROVIDER=local, then a full reindex)."
+        );
+        e.statusCode = 503;
+        throw e;
+      }
+      throw err;
+    }
+
+    // 3) + 4) Retrieve with filters + must-include keywords pushed down into
+    //    LanceDB (prefilter), so topK is filled with matching chunks only.
+    //    Conditions the table can't evaluate are post-filtered by the store.
+    const filter = { ...filters, mustInclude, mustIncludeMode };
+    const { pushedDown, residual } = store.compileFilter(filter);
+
+    const fusion = {
+      strategy: FUSION_STRATEGY,
+      normalization: FUSION_NORMALIZATION,
+      listWeights: LIST_WEIGHTS,
+      variantWeights: variants.map((v) => VARIANT_WEIGHTS[v.kind]),
+    };
+    const searchOpts = {
+      // every list must reach deep enough for the requested page too
+      perQueryTopK: Math.max(PER_QUERY_TOPK, minHits),
+      finalTopK: Math.max(FINAL_TOPK, minHits),
+      rrfK: RRF_K,
+      filter,
+      fusion,
+    };
+
+    let mergedHits;
+    if (retrievalMode === "vector") {
+      mergedHits = await store.vectorSearchMulti(variantEmbeds, searchOpts);
+    } else if (retrievalMode === "fts") {
+      mergedHits = await store.ftsSearchMulti(variantTexts, searchOpts);
+    } else {
+      mergedHits = await store.hybridSearchMulti(
+        variantEmbeds,
+        variantTexts,
+        searchOpts
+      );
+    }
+
+    const debug = {
+      retrievalMode,
+      fusion: {
+        ...fusion,
+        rrfK: FUSION_STRATEGY === "rrf" ? RRF_K : undefined,
+        variants: variants.map((v) => v.kind),
+      },
+      filters,
+      mustInclude,
+      mustIncludeMode,
+      rewrites,
+      hydeUsed: Boolean(hyde),
+      pushedDown,
+      postFiltered: residual.map((c) => c.key),
+      retrievedCandidates: mergedHits.length,
+    };
+
+    // If filters are too strict, you may end up with 0 chunks
+    if (mergedHits.length === 0) return { hits: [], debug };
+
+    // 5) Rerank the top N (best-effort: on failure keep the fused order)
+    let rankedHits = mergedHits;
+    let rerankUsed = "none";
+    if (rerankerKind !== "none") {
+      try {
+        rankedHits = await getReranker(rerankerKind).rerank(
+          question,
+          mergedHits,
+          { topN: Math.max(RERANK_TOP_N, minHits) }
+        );
+        rerankUsed = rerankerKind;
+      } catch (err) {
+        log.warn?.("Reranking failed; keeping retrieval order.", {
+          reranker: rerankerKind,
+          error: err?.message,
+        });
+      }
+    }
+
+    // 6) Diversity filter on reranked hits
+    const hits = pickDiverse(rankedHits);
+
+    debug.rerank = {
+      requested: rerankerKind,
+      used: rerankUsed,
+      topN: rerankUsed === "none" ? undefined : Math.max(RERANK_TOP_N, minHits),
+      scores:
+        rerankUsed === "none"
+          ? undefined
+          : rankedHits.map((h) => ({
+              id: h.item.id,
+              rerankScore: h.rerankScore,
+              retrievalScore: h.retrievalScore,
+            })),
+    };
+    debug.diverseCandidates = hits.length;
+
+    return { hits, debug };
+  }
+
+  /**
+   * Steps 1)–7): retrieve() + pack as many of the hits as fit the token
+   * budget. Shared by ask() and askStream().
+   * Returns { selected, blocks, context, debug } (selected and blocks are []
+   * when nothing matched).
+   */
+  async function prepareContext(question, options = {}) {
+    const { hits, debug } = await retrieve(question, options);
+    if (hits.length === 0)
+      return { selected: [], blocks: [], context: "", debug };
+
+    // 7) Context: as many diverse chunks as fit the token budget
+    const { selected, context, blocks, usage } = packContext(hits, {
+      budget: contextTokens(generation.answer.model),
+      maxChunks: CONTEXT_K,
+      // budgets are in the answer model's tokens
+      encoding: encodingNameForModel(generation.answer.model),
+    });
+
+    debug.contextScores = selected.map(summarizeComponents);
+    debug.contextChunks = selected.length;
+    debug.contextBlocks = blocks.length;
+    debug.contextTokens = usage.used;
+    debug.contextBudget = usage.budget;
+    debug.contextTokensPerChunk = usage.chunks;
+
+    return { selected, blocks, context, debug };
+  }
+
   return {
     store,
+    sessions,
 
+    // picks up the active table version (blue/green switch or rollback)
     async reloadStore() {
-      await store.reload();
+      await store.reload({
+        tableName: await resolveActiveTable(LANCEDB_TABLE),
+      });
+    },
+
+    /**
+     * search(question, options?) — retrieval only (no answer generation):
+     * the same augmentation, retrieval, filters, must-include, reranking and
+     * diversity steps as ask(), returned as a ranked, paginated list.
+     * options: ask() options (except sessionId) plus
+     * {
+     *   offset?: number          // default 0
+     *   limit?: number           // default 10, max SEARCH_MAX_LIMIT
+     *   includeContent?: boolean // full chunk text (default true; snippet always)
+     * }
+     * Returns { hits, retrieved, offset, limit, debug? }
+     * `retrieved` counts the candidates of this request's pool, which grows
+     * with offset + limit: it is not a stable total across pages.
+     */
+    async search(question, options = {}) {
+      const started = Date.now();
+      const offset = Math.max(0, Math.floor(Number(options.offset) || 0));
+      const limit = Math.min(
+        SEARCH_MAX_LIMIT,
+        Math.max(1, Math.floor(Number(options.limit) || 10))
+      );
+      const includeContent = options.includeContent !== false;
+
+      const { hits, debug } = await retrieve(question, options, {
+        minHits: offset + limit,
+      });
+      await persistCaches();
+
+      return {
+        hits: hits
+          .slice(offset, offset + limit)
+          .map((h, i) => toSearchHit(h, offset + i + 1, { includeContent })),
+        retrieved: hits.length,
+        offset,
+        limit,
+        debug: DEBUG
+          ? { ...debug, durationMs: Date.now() - started }
+          : undefined,
+      };
+    },
+
+    // Conversation history (null if the session doesn't exist)
+    async getSession(sessionId) {
+      return sessions.get(sessionId);
+    },
+
+    async deleteSession(sessionId) {
+      return sessions.delete(sessionId);
     },
 
     /**
      * ask(question, options?)
      * options:
      * {
-     *   filters?: { sources?: string[], sourcePrefix?: string }
+     *   sessionId?: string                             // multi-turn conversation
+     *   filters?: { sources?, sourcePrefix?, tags?, title?, owner?, product?, effectiveDate? }
      *   mustInclude?: string[]
      *   mustIncludeMode?: "all" | "any"
+     *   retrievalMode?: "hybrid" | "vector" | "fts"   // default: RAG_RETRIEVAL_MODE
+     *   reranker?: "none" | "cross-encoder" | "llm"    // default: RAG_RERANKER
+     *   groundedness?: "off" | "llm" | "lexical"        // default: RAG_GROUNDEDNESS
      * }
      */
     async ask(question, options = {}) {
       const started = Date.now();
-      const { filters, mustInclude, mustIncludeMode = "all" } = options;
-
-      // 1) Augment query (best-effort)
-      let rewrites = [];
-      let hyde = "";
-
-      try {
-        if (ENABLE_MULTI_QUERY)
-          rewrites = await getMultiQueriesCached(question, augmentCache, log);
-        if (ENABLE_HYDE)
-          hyde = await getHydeCached(question, augmentCache, log);
-      } catch (err) {
-        const info = classifyOpenAIError(err);
-        if (info.isQuota) {
-          log.warn?.(
-            "No quota for augmentation; continuing without rewrites/HyDE.",
-            { code: info.code }
+      const { sessionId } = options;
+
+      // 0) Conversation: follow-up → standalone question
+      const resolved = await resolveQuestion(question, sessionId);
+      const { selected, blocks, context, debug } = await prepareContext(
+        resolved.question,
+        options
+      );
+      debug.conversation = resolved.conversation;
+
+      let answer = NO_MATCH_ANSWER;
+
+      if (selected.length > 0) {
+        // 8) Answer
+        try {
+          answer = await answerWithContextCached(
+            resolved.question,
+            context,
+            answerCache,
+            { gen: generation.answer, log, history: resolved.history }
           );
-          rewrites = [];
-          hyde = "";
-        } else {
-          throw err;
+        } catch (err) {
+          throw answerQuotaError(err);
         }
       }
 
-      // Keep texts aligned with embeddings
-      const variantTexts = [question, ...rewrites, hyde].filter(Boolean);
+      // Groundedness check (optional; may replace the answer with "I don't know")
+      const checked = await checkGroundedness(
+        answer,
+        blocks,
+        context,
+        groundednessMethod(options)
+      );
 
-      // 2) Embed query variants
-      let variantEmbeds;
-      try {
-        variantEmbeds = await embedTextsCached(variantTexts, embedCache, log);
-      } catch (err) {
-        const info = classifyOpenAIError(err);
-        if (info.isQuota) {
-          const e = new Error(
-            "No API quota for embeddings. Add credits or use local embeddings."
-          );
-          e.statusCode = 503;
-          throw e;
-        }
-        throw err;
-      }
+      await persistCaches();
 
-      // 3) Retrieve MORE candidates first (important for filtering)
-      const expandedFinalTopK = Math.max(FINAL_TOPK * 4, FINAL_TOPK);
-      const expandedPerQueryTopK = Math.max(PER_QUERY_TOPK * 3, PER_QUERY_TOPK);
-
-      let mergedHits;
-      if (ENABLE_HYBRID) {
-        mergedHits = await store.hybridSearchMulti(
-          variantEmbeds,
-          variantTexts,
-          {
-            perQueryTopK: expandedPerQueryTopK,
-            finalTopK: expandedFinalTopK,
-            rrfK: RRF_K,
-          }
-        );
-      } else {
-        // If you ever disable hybrid, you can add vector-only search here
-        mergedHits = await store.hybridSearchMulti(
-          variantEmbeds,
-          variantTexts,
-          {
-            perQueryTopK: expandedPerQueryTopK,
-            finalTopK: expandedFinalTopK,
-            rrfK: RRF_K,
-          }
-        );
-      }
+      // Map [source: ...] markers to the context chunks (invalid ones stripped/flagged)
+      const cited = resolveCitations(checked.answer, selected, {
+        invalid: INVALID_CITATIONS,
+      });
 
-      // 4) Apply Filters + Must-Include keywords
-      let filtered = applySourceFilters(mergedHits, filters);
-      filtered = applyMustInclude(filtered, mustInclude, mustIncludeMode);
-
-      // If filters are too strict, you may end up with 0 chunks
-      if (filtered.length === 0) {
-        return {
-          answer:
-            "I couldn't find relevant passages that match your filters/keywords in the provided documents.",
-          sources: [],
-          debug: DEBUG
-            ? {
-                hybrid: ENABLE_HYBRID,
-                filters,
-                mustInclude,
-                mustIncludeMode,
-                retrievedCandidates: mergedHits.length,
-                afterFiltering: 0,
-                durationMs: Date.now() - started,
-              }
-            : undefined,
-        };
-      }
+      const sources = selected.map((h) => h.item.id);
+      await recordTurn(sessionId, {
+        question,
+        standaloneQuestion: resolved.question,
+        answer: cited.answer,
+        sources,
+      });
 
-      // 5) Diversity select from filtered hits
-      const selected = pickDiverse(filtered, { k: CONTEXT_K });
+      const durationMs = Date.now() - started;
 
-      // 6) Context
-      const context = buildContextBlock(selected);
+      return {
+        answer: cited.answer,
+        sources,
+        citations: cited.citations,
+        invalidCitations: cited.invalidCitations,
+        uncitedSources: cited.uncitedSources,
+        groundedness: checked.groundedness,
+        sessionId,
+        debug: DEBUG ? { ...debug, durationMs } : undefined,
+      };
+    },
+
+    /**
+     * askStream(question, options?, { signal? })
+     * Same pipeline (and options) as ask(), but yields events while the
+     * answer is generated:
+     *
+     *   { event: "sources", data: { sources, chunks, citations } }
+     *   { event: "delta",   data: { text } }           // repeated
+     *   { event: "done",    data: { answer, sources, citations, invalidCitations,
+     *                               uncitedSources, groundedness?, sessionId?, cached,
+     *                               durationMs, debug? } }
+     *
+     * "sources" lists the context chunks; its `citations` is a deprecated
+     * alias of `chunks` (the name before answers had checked citations).
+     * Deltas are the raw model output; "done" has the answer with citations
+     * checked (see resolveCitations). Cached answers are replayed as a single
+     * delta. With a groundedness check (not "off") nothing is sent until the
+     * answer passed it: the checked answer (or IDK_ANSWER if it was replaced)
+     * then arrives as a single delta, so clients never show an answer the
+     * check suppresses. When
+     * `signal` aborts (client went away) the upstream generation is
+     * cancelled, nothing is cached or added to the session and the generator
+     * returns without "done".
+     */
+    async *askStream(question, options = {}, { signal } = {}) {
+      const started = Date.now();
+      const { sessionId } = options;
+
+      const resolved = await resolveQuestion(question, sessionId);
+      const { selected, blocks, context, debug } = await prepareContext(
+        resolved.question,
+        options
+      );
+      debug.conversation = resolved.conversation;
+      const sources = selected.map((h) => h.item.id);
+      const chunks = selected.map((h) => ({
+        id: h.item.id,
+        citationId: citationIdOf(h.item),
+        source: h.item.source,
+        page: h.item.page || undefined,
+        headingPath: h.item.headingPath || undefined,
+      }));
+
+      // `citations` is the original name of `chunks`, kept for existing
+      // clients (deprecated: "done" has the real citations)
+      yield {
+        event: "sources",
+        data: { sources, chunks, citations: chunks },
+      };
 
-      // 7) Answer
       let answer;
-      try {
-        answer = await answerWithContextCached(
-          question,
+      let cached = false;
+      const method = groundednessMethod(options);
+      // deltas are held back until the groundedness check passed
+      const holdDeltas = method !== "off" && selected.length > 0;
+
+      if (selected.length === 0) {
+        answer = NO_MATCH_ANSWER;
+        yield { event: "delta", data: { text: answer } };
+      } else {
+        const key = answerCacheKey(
+          generation.answer,
+          resolved.question,
           context,
-          answerCache,
-          log
+          resolved.history
         );
-      } catch (err) {
-        const info = classifyOpenAIError(err);
-        if (info.isQuota) {
-          const e = new Error(
-            "No API quota for answering. Add credits or use a local LLM."
-          );
-          e.statusCode = 503;
-          throw e;
+        if (answerCache[key]) {
+          // 8) Answer (replayed from cache)
+          answer = answerCache[key];
+          cached = true;
+          if (!holdDeltas) yield { event: "delta", data: { text: answer } };
+        } else {
+          // 8) Answer (streamed)
+          answer = "";
+          try {
+            for await (const text of streamAnswer(resolved.question, context, {
+              gen: generation.answer,
+              log,
+              signal,
+              history: resolved.history,
+            })) {
+              answer += text;
+              if (!holdDeltas) yield { event: "delta", data: { text } };
+            }
+          } catch (err) {
+            if (signal?.aborted) return;
+            throw answerQuotaError(err);
+          }
+          if (signal?.aborted) return;
+
+          answerCache[key] = answer;
         }
-        throw err;
       }
 
+      const checked = await checkGroundedness(answer, blocks, context, method);
+      if (holdDeltas) yield { event: "delta", data: { text: checked.answer } };
+
       await persistCaches();
 
+      // Deltas carry the raw answer; "done" carries it with citations checked
+      const cited = resolveCitations(checked.answer, selected, {
+        invalid: INVALID_CITATIONS,
+      });
+
+      await recordTurn(sessionId, {
+        question,
+        standaloneQuestion: resolved.question,
+        answer: cited.answer,
+        sources,
+      });
+
       const durationMs = Date.now() - started;
 
-      return {
-        answer,
-        sources: selected.map((h) => h.item.id),
-        debug: DEBUG
-          ? {
-              hybrid: ENABLE_HYBRID,
-              rrfK: RRF_K,
-              filters,
-              mustInclude,
-              mustIncludeMode,
-              rewrites,
-              hydeUsed: Boolean(hyde),
-              retrievedCandidates: mergedHits.length,
-              afterFiltering: filtered.length,
-              contextChunks: selected.length,
-              durationMs,
-            }
-          : undefined,
+      yield {
+        event: "done",
+        data: {
+          answer: cited.answer,
+          sources,
+          citations: cited.citations,
+          invalidCitations: cited.invalidCitations,
+          uncitedSources: cited.uncitedSources,
+          groundedness: checked.groundedness,
+          sessionId,
+          cached,
+          durationMs,
+          debug: DEBUG ? { ...debug, durationMs } : undefined,
+        },
       };
     },
   };
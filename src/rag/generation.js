@@ -0,0 +1,389 @@
+// What it does
+
+// Text generation behind one interface, so every LLM call of the engine can
+// go to a different backend.
+
+// Providers (same interface):
+
+// "openai": OpenAI Responses API (client.responses.create)
+
+// "openai-compatible": any chat completions endpoint at another base URL,
+//   e.g. Ollama, llama.cpp server, vLLM, LM Studio
+
+// "stub": deterministic canned output, no network (tests, offline demos);
+//   RAG_OFFLINE=true uses it for every task
+
+// Tasks
+
+// Each engine call names its task: multiQuery, hyde, condense, answer,
+// rerank, groundedness. RAG_GEN_PROVIDER / RAG_GEN_MODEL configure all of
+// them; RAG_GEN_TASKS overrides single tasks, e.g. a small local model for
+// query rewriting while a stronger one answers:
+
+// RAG_GEN_TASKS='{"multiQuery":{"provider":"openai-compatible","model":"llama3.2:3b","baseURL":"http://localhost:11434/v1"}}'
+
+// Interface:
+// provider.complete({ instructions, input, temperature, signal, task }) → text
+// provider.stream(same) → async iterable of text deltas, once the request is
+//   accepted (so callers can retry opening it but not a half-sent answer)
+// provider.id → what outputs are comparable with (cache keys)
+
+// Error handling
+
+// classifyError() decides: quota exhausted, rate limited, transient (5xx,
+// timeouts, connection errors). Providers attach their own classification to
+// the errors they throw, since their error shapes differ; anything else is
+// read as an OpenAI SDK error (embeddings use the same rules).
+
+// withRetry() does exponential backoff for transient + rate-limit errors
+
+import OpenAI from "openai";
+import { client, OFFLINE } from "../lib.js";
+
+export const GENERATION_PROVIDERS = ["openai", "openai-compatible", "stub"];
+
+export const GENERATION_TASKS = [
+  "multiQuery",
+  "hyde",
+  "condense",
+  "answer",
+  "rerank",
+  "groundedness",
+];
+
+const DEFAULT_MODEL = "gpt-4.1-mini";
+
+/**
+ * createGenerationProvider(kind, { model, baseURL, apiKey, respond })
+ * Unknown kinds are an error (a silent fallback would call the wrong backend).
+ */
+export function createGenerationProvider(kind = "openai", options = {}) {
+  if (kind === "openai") return createOpenAIGeneration(options);
+  if (kind === "openai-compatible")
+    return createOpenAICompatibleGeneration(options);
+  if (kind === "stub") return createStubGeneration(options);
+  throw new Error(
+    `Unknown generation provider "${kind}" (use ${GENERATION_PROVIDERS.join(
+      ", "
+    )})`
+  );
+}
+
+/**
+ * One provider per task (GENERATION_TASKS → provider).
+ * defaults: RAG_GEN_PROVIDER / RAG_GEN_MODEL / RAG_GEN_BASE_URL / RAG_GEN_API_KEY
+ * tasks: { [task]: { provider?, model?, baseURL?, apiKey? } } merged over the
+ *   defaults (default: RAG_GEN_TASKS)
+ * Tasks with the same settings share one instance.
+ * Offline mode (RAG_OFFLINE) uses the stub for every task.
+ */
+export function getGenerationProviders({
+  defaults = {},
+  tasks = parseTasksEnv(),
+} = {}) {
+  if (OFFLINE) {
+    const stub = createStubGeneration();
+    return Object.fromEntries(GENERATION_TASKS.map((task) => [task, stub]));
+  }
+
+  const base = {
+    provider: process.env.RAG_GEN_PROVIDER || "openai",
+    model: process.env.RAG_GEN_MODEL || DEFAULT_MODEL,
+    baseURL: process.env.RAG_GEN_BASE_URL,
+    apiKey: process.env.RAG_GEN_API_KEY,
+    ...defaults,
+  };
+
+  for (const task of Object.keys(tasks)) {
+    if (!GENERATION_TASKS.includes(task)) {
+      throw new Error(
+        `Unknown generation task "${task}" (use ${GENERATION_TASKS.join(", ")})`
+      );
+    }
+  }
+
+  const instances = new Map();
+  const out = {};
+  for (const task of GENERATION_TASKS) {
+    const { provider, ...options } = { ...base, ...tasks[task] };
+    const key = JSON.stringify([provider, options]);
+    if (!instances.has(key)) {
+      instances.set(key, createGenerationProvider(provider, options));
+    }
+    out[task] = instances.get(key);
+  }
+  return out;
+}
+
+function parseTasksEnv() {
+  try {
+    return JSON.parse(process.env.RAG_GEN_TASKS || "{}");
+  } catch {
+    throw new Error("RAG_GEN_TASKS is not valid JSON");
+  }
+}
+
+/* ---------------- Error handling ---------------- */
+
+/** { status, code, isQuota, isRateLimit, isTransient } */
+export function classifyError(err) {
+  return err?.classification || classifyOpenAIError(err);
+}
+
+function classifyOpenAIError(err) {
+  const status = err?.status;
+  const code = err?.code || err?.error?.code;
+  const msg = (err?.message || err?.error?.message || "").toLowerCase();
+
+  const isQuota =
+    status === 429 && (code === "insufficient_quota" || msg.includes("quota"));
+  const isRateLimit =
+    status === 429 &&
+    (code === "rate_limit_exceeded" ||
+      msg.includes("rate limit") ||
+      msg.includes("too many requests"));
+
+  const isTransient =
+    (status >= 500 && status <= 599) ||
+    msg.includes("timeout") ||
+    msg.includes("temporarily");
+
+  return { status, code, isQuota, isRateLimit, isTransient };
+}
+
+// Self-hosted servers have no quota: a 429 means all slots are busy, 503 a
+// model still loading, a refused connection a server that isn't up yet
+function classifyCompatibleError(err) {
+  const info = classifyOpenAIError(err);
+  return {
+    ...info,
+    isQuota: false,
+    isRateLimit: info.status === 429,
+    isTransient:
+      info.isTransient ||
+      err instanceof OpenAI.APIConnectionError ||
+      err?.cause?.code === "ECONNREFUSED",
+  };
+}
+
+function classified(err, classify) {
+  if (err && typeof err === "object" && !err.classification) {
+    err.classification = classify(err);
+  }
+  return err;
+}
+
+export async function withRetry(
+  fn,
+  { label = "operation", maxRetries = 4, log } = {}
+) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn();
+    } catch (err) {
+      const info = classifyError(err);
+      if (info.isQuota) throw err;
+
+      const canRetry = info.isRateLimit || info.isTransient;
+      if (!canRetry || attempt >= maxRetries) throw err;
+
+      const backoffMs =
+        Math.min(8000, 500 * 2 ** attempt) + Math.floor(Math.random() * 250);
+      log?.warn?.(`${label} failed; retrying`, {
+        attempt: attempt + 1,
+        backoffMs,
+        status: info.status,
+        code: info.code,
+      });
+      await new Promise((r) => setTimeout(r, backoffMs));
+      attempt++;
+    }
+  }
+}
+
+// Text deltas of an open stream (events without text are skipped)
+async function* deltas(events, classify, textOf) {
+  try {
+    for await (const event of events) {
+      const text = textOf(event);
+      if (text) yield text;
+    }
+  } catch (err) {
+    throw classified(err, classify);
+  }
+}
+
+/* ---------------- OpenAI (Responses API) ---------------- */
+
+export function createOpenAIGeneration({ model = DEFAULT_MODEL } = {}) {
+  const classify = classifyOpenAIError;
+
+  return {
+    name: "openai",
+    // the bare model name, so answer/augmentation caches stay valid
+    id: model,
+    model,
+
+    async complete({ instructions, input, temperature, signal }) {
+      try {
+        const resp = await client.responses.create(
+          { model, instructions, input, temperature },
+          { signal }
+        );
+        return resp.output_text || "";
+      } catch (err) {
+        throw classified(err, classify);
+      }
+    },
+
+    async stream({ instructions, input, temperature, signal }) {
+      let events;
+      try {
+        events = await client.responses.create(
+          { model, instructions, input, temperature, stream: true },
+          { signal }
+        );
+      } catch (err) {
+        throw classified(err, classify);
+      }
+      return deltas(events, classify, (event) =>
+        event.type === "response.output_text.delta" ? event.delta : ""
+      );
+    },
+  };
+}
+
+/* ---------------- OpenAI-compatible (chat completions) ---------------- */
+
+export function createOpenAICompatibleGeneration({
+  model = DEFAULT_MODEL,
+  baseURL,
+  apiKey,
+} = {}) {
+  if (!baseURL) {
+    throw new Error(
+      'Generation provider "openai-compatible" needs a base URL (RAG_GEN_BASE_URL, e.g. http://localhost:11434/v1)'
+    );
+  }
+  const api = new OpenAI({
+    baseURL,
+    apiKey: apiKey || process.env.OPENAI_API_KEY || "none",
+  });
+  const classify = classifyCompatibleError;
+
+  const messages = (instructions, input) => [
+    { role: "system", content: instructions },
+    { role: "user", content: input },
+  ];
+
+  return {
+    name: "openai-compatible",
+    id: `openai-compatible:${model}`,
+    model,
+
+    async complete({ instructions, input, temperature, signal }) {
+      try {
+        const res = await api.chat.completions.create(
+          { model, messages: messages(instructions, input), temperature },
+          { signal }
+        );
+        return res.choices[0]?.message?.content || "";
+      } catch (err) {
+        throw classified(err, classify);
+      }
+    },
+
+    async stream({ instructions, input, temperature, signal }) {
+      let chunks;
+      try {
+        chunks = await api.chat.completions.create(
+          {
+            model,
+            messages: messages(instructions, input),
+            temperature,
+            stream: true,
+          },
+          { signal }
+        );
+      } catch (err) {
+        throw classified(err, classify);
+      }
+      return deltas(
+        chunks,
+        classify,
+        (chunk) => chunk.choices[0]?.delta?.content
+      );
+    },
+  };
+}
+
+/* ---------------- Stub (deterministic, offline) ---------------- */
+
+/**
+ * Canned output per task, no network:
+ * - multiQuery: {"queries":[...]} built from the question's words
+ * - hyde: a sentence restating the question
+ * - answer: the first sentence of the first context block, with its citation
+ * - everything else: "" (the follow-up is used as-is, retrieval order is
+ *   kept, groundedness falls back to the lexical check)
+ * respond({ task, instructions, input }) → string overrides it (tests).
+ */
+export function createStubGeneration({ model = "stub", respond } = {}) {
+  const reply = (req) => (respond ? respond(req) : stubReply(req));
+
+  return {
+    name: "stub",
+    id: `stub:${model}`,
+    model,
+
+    async complete(req) {
+      return String(await reply(req));
+    },
+
+    async stream(req) {
+      // word by word, so clients see more than one delta
+      const text = String(await reply(req));
+      return (async function* () {
+        for (const piece of text.match(/\S+\s*/g) || []) yield piece;
+      })();
+    },
+  };
+}
+
+function stubReply({ task, input }) {
+  if (task === "multiQuery")
+    return JSON.stringify({ queries: stubQueries(input) });
+  if (task === "hyde")
+    return `This document explains ${stubTerms(input).join(" ")}.`;
+  if (task !== "answer") return "";
+
+  const block = String(input).match(
+    /\[source: ([^\]]+)\]\n([\s\S]*?)(\n---\n|$)/
+  );
+  if (!block) return "I don't know from the provided documents.";
+
+  // first sentence of the text, past the [section: ...] line and headings
+  const text = block[2]
+    .split("\n")
+    .filter((line) => line.trim() && !/^(\[section: .*\]|#+ )/.test(line))
+    .join(" ");
+  const sentence = (text.match(/^.*?[.!?](\s|$)/)?.[0] || text).trim();
+  const firstId = block[1].split(",")[0].trim();
+  return `${sentence} [source: ${firstId}]`;
+}
+
+// Words of 3+ letters, lowercased, in question order
+function stubTerms(question) {
+  return (
+    String(question)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]{3,}/gu) || []
+  );
+}
+
+function stubQueries(question) {
+  const terms = stubTerms(question);
+  const queries = [terms.join(" "), terms.slice(-2).join(" "), terms[0]];
+  return [...new Set(queries.filter(Boolean))];
+}
@@ -0,0 +1,194 @@
+// What it does
+
+// Post-generation groundedness check: does the answer stay inside the
+// retrieved context?
+
+// 1) split the answer into claims (sentences / list items, citation markers
+//    removed, "I don't know" and very short fragments skipped)
+
+// 2) check each claim against the packed context blocks (the merged and
+//    trimmed text the answer prompt saw, not the full stored chunks):
+
+// "llm": one judge call for all claims (GROUNDEDNESS_INSTRUCTIONS)
+
+// "lexical": content-word overlap with the best matching block (no API call;
+//   used as the fallback when the judge has no quota or returns bad JSON)
+
+// 3) score = supported claims / claims (1 when there is nothing to check)
+
+// Result:
+// {
+//   method: "llm" | "lexical",
+//   score: 0..1,
+//   claims: [{ text, supported, support?, overlap? }],
+//   unsupported: ["sentence", ...]
+// }
+
+import { GROUNDEDNESS_INSTRUCTIONS } from "../prompts.js";
+import { splitSentences } from "../semanticChunk.js";
+
+export const GROUNDEDNESS_METHODS = ["off", "llm", "lexical"];
+
+const MARKER_RE = /\s*\[sources?:[^\]]*\]/gi; // with the space before it
+const IDK_RE = /i don'?t know from the provided documents/i;
+
+/**
+ * Answer → claims to verify.
+ * Lines are split first so list items become separate claims.
+ */
+export function splitClaims(answer, { minWords = 3 } = {}) {
+  const claims = [];
+  for (const line of String(answer || "").split(/\n+/)) {
+    const clean = line
+      .replace(MARKER_RE, "")
+      .replace(/^\s*(?:[-*+]|\d+[.)]|#+)\s+/, "") // bullets, numbering, headings
+      .trim();
+    if (!clean) continue;
+
+    for (const sentence of splitSentences(clean)) {
+      const s = sentence.trim();
+      if (IDK_RE.test(s)) continue;
+      if (s.split(/\s+/).length < minWords && contentWords(s).length < 2)
+        continue;
+      claims.push(s);
+    }
+  }
+  return claims;
+}
+
+/* ---------------- Lexical ---------------- */
+
+const STOPWORDS = new Set(
+  (
+    "the and for are but not you your with this that from they have has had was were " +
+    "will would can could should may might must been being into onto over under about " +
+    "than then there their them these those which what when where who whom why how " +
+    "all any each few more most other some such only own same also very just its our " +
+    "out off per via yes"
+  ).split(" ")
+);
+
+function contentWords(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w && (/\d/.test(w) || (w.length > 2 && !STOPWORDS.has(w))));
+}
+
+/**
+ * A claim is supported when at least `minOverlap` of its content words
+ * (numbers included) appear in one context block.
+ * blocks: packContext() blocks ([{ citationIds, content }]); `support` is
+ * the block's citation ids, as in its [source: ...] header.
+ */
+export function checkClaimsLexical(claims, blocks, { minOverlap = 0.6 } = {}) {
+  const chunkWords = blocks.map((b) => ({
+    citationId: b.citationIds.join(", "),
+    words: new Set(contentWords(b.content)),
+  }));
+
+  return claims.map((text) => {
+    const words = [...new Set(contentWords(text))];
+    if (words.length === 0) return { text, supported: true, overlap: 1 };
+
+    let best = { overlap: 0, citationId: undefined };
+    for (const c of chunkWords) {
+      const hit = words.filter((w) => c.words.has(w)).length;
+      const overlap = hit / words.length;
+      if (overlap > best.overlap) best = { overlap, citationId: c.citationId };
+    }
+
+    return {
+      text,
+      supported: best.overlap >= minOverlap,
+      support: best.citationId,
+      overlap: Number(best.overlap.toFixed(3)),
+    };
+  });
+}
+
+/* ---------------- LLM judge ---------------- */
+
+/**
+ * complete(instructions, input) → raw model text (engine's LLM call with retry).
+ * Returns null when the verdicts can't be parsed (caller falls back).
+ */
+export async function checkClaimsLlm(claims, context, complete) {
+  const numbered = claims.map((c, i) => `${i + 1}. ${c}`).join("\n");
+  const raw = await complete(
+    GROUNDEDNESS_INSTRUCTIONS,
+    `CONTEXT:\n\n${context}\n\nCLAIMS:\n${numbered}`
+  );
+
+  let verdicts;
+  try {
+    verdicts = JSON.parse(String(raw || "").trim()).verdicts;
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(verdicts)) return null;
+
+  const byClaim = new Map();
+  for (const v of verdicts) {
+    const idx = Number(v?.claim) - 1;
+    if (Number.isInteger(idx) && idx >= 0 && idx < claims.length)
+      byClaim.set(idx, v.supported === true);
+  }
+  // every claim needs a verdict, otherwise the result isn't trustworthy
+  if (byClaim.size !== claims.length) return null;
+
+  return claims.map((text, i) => ({ text, supported: byClaim.get(i) }));
+}
+
+/* ---------------- Entry point ---------------- */
+
+/**
+ * verifyGroundedness(answer, blocks, options)
+ * blocks: packContext() blocks, for "lexical"
+ * options:
+ * {
+ *   method?: "llm" | "lexical"
+ *   context?: string              // renderContext(blocks) (what the answer saw), for "llm"
+ *   complete?: (instructions, input) => Promise<string>
+ *   minOverlap?: number           // lexical threshold per claim
+ *   isQuotaError?: (err) => boolean
+ *   log?
+ * }
+ * Quota errors from the judge fall back to the lexical check; other errors
+ * propagate.
+ */
+export async function verifyGroundedness(
+  answer,
+  blocks,
+  { method = "llm", context = "", complete, minOverlap, isQuotaError, log } = {}
+) {
+  const claims = splitClaims(answer);
+  let used = method;
+  let results = null;
+
+  if (claims.length > 0 && method === "llm") {
+    try {
+      results = await checkClaimsLlm(claims, context, complete);
+      if (!results)
+        log?.warn?.(
+          "Groundedness judge returned invalid JSON; using lexical check."
+        );
+    } catch (err) {
+      if (!isQuotaError?.(err)) throw err;
+      log?.warn?.("No quota for groundedness judge; using lexical check.");
+    }
+  }
+
+  if (!results) {
+    used = method === "llm" && claims.length > 0 ? "lexical" : method;
+    results = checkClaimsLexical(claims, blocks, { minOverlap });
+  }
+
+  const supported = results.filter((r) => r.supported).length;
+  return {
+    method: used,
+    score: results.length ? Number((supported / results.length).toFixed(3)) : 1,
+    claims: results,
+    unsupported: results.filter((r) => !r.supported).map((r) => r.text),
+  };
+}
@@ -0,0 +1,207 @@
+// What it does
+
+// Reranking stage between retrieval (fused hits) and pickDiverse().
+
+// Fusion ranks by rank positions across lists; a reranker reads the question
+// and each candidate passage together and scores relevance directly.
+
+// Implementations (same interface):
+
+// "cross-encoder": local cross-encoder on CPU via transformers.js (ONNX),
+//   e.g. Xenova/ms-marco-MiniLM-L-6-v2 — downloaded once, then offline
+
+// "llm": listwise reranking by the generation model (one call ranks all
+//   candidates, see RERANK_INSTRUCTIONS)
+
+// "none": keeps the retrieval order
+
+// Interface:
+// reranker.rerank(question, hits, { topN }) → top N hits, re-sorted, each with
+// { score: rerankScore (0..1), rerankScore, retrievalScore }
+
+import { RERANK_INSTRUCTIONS } from "../prompts.js";
+
+export const RERANKERS = ["none", "cross-encoder", "llm"];
+
+export function createReranker(kind, options = {}) {
+  if (kind === "cross-encoder") return createCrossEncoderReranker(options);
+  if (kind === "llm") return createLlmReranker(options);
+  return createNoopReranker();
+}
+
+export function createNoopReranker() {
+  return {
+    name: "none",
+    async rerank(question, hits) {
+      return hits;
+    },
+  };
+}
+
+/* ---------------- Cross-encoder (local, CPU) ---------------- */
+
+/**
+ * options:
+ * {
+ *   model?: string      // Hugging Face model id (ONNX weights)
+ *   batchSize?: number  // (question, passage) pairs per forward pass
+ *   maxPassageChars?: number
+ * }
+ * The model is loaded lazily on first use and kept in memory.
+ */
+export function createCrossEncoderReranker({
+  model = "Xenova/ms-marco-MiniLM-L-6-v2",
+  batchSize = 16,
+  maxPassageChars = 2000,
+} = {}) {
+  let loading = null;
+
+  async function load() {
+    if (!loading) {
+      loading = (async () => {
+        let transformers;
+        try {
+          transformers = await import("@huggingface/transformers");
+        } catch {
+          throw new Error(
+            'Cross-encoder reranker needs the optional "@huggingface/transformers" package (npm install @huggingface/transformers).'
+          );
+        }
+        const { AutoTokenizer, AutoModelForSequenceClassification } =
+          transformers;
+        const [tokenizer, classifier] = await Promise.all([
+          AutoTokenizer.from_pretrained(model),
+          AutoModelForSequenceClassification.from_pretrained(model, {
+            device: "cpu",
+          }),
+        ]);
+        return { tokenizer, classifier };
+      })().catch((err) => {
+        loading = null; // allow a retry on the next request
+        throw err;
+      });
+    }
+    return loading;
+  }
+
+  return {
+    name: "cross-encoder",
+    model,
+    async rerank(question, hits, { topN = hits.length } = {}) {
+      const candidates = hits.slice(0, topN);
+      if (candidates.length === 0) return [];
+
+      const { tokenizer, classifier } = await load();
+      const scores = [];
+
+      for (let i = 0; i < candidates.length; i += batchSize) {
+        const batch = candidates.slice(i, i + batchSize);
+        const inputs = tokenizer(
+          batch.map(() => question),
+          {
+            text_pair: batch.map((h) =>
+              String(h.item.content || "").slice(0, maxPassageChars)
+            ),
+            padding: true,
+            truncation: true,
+          }
+        );
+        const { logits } = await classifier(inputs);
+        // one relevance logit per pair → 0..1
+        for (const logit of logits.data) scores.push(sigmoid(logit));
+      }
+
+      return withRerankScores(candidates, scores);
+    },
+  };
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/* ---------------- LLM listwise ---------------- */
+
+/**
+ * options:
+ * {
+ *   complete: (instructions, input) => Promise<string>  // engine's LLM call (with retry)
+ *   maxPassageChars?: number
+ * }
+ */
+export function createLlmReranker({ complete, maxPassageChars = 1200 } = {}) {
+  if (typeof complete !== "function")
+    throw new Error("LLM reranker needs a complete() function");
+
+  return {
+    name: "llm",
+    async rerank(question, hits, { topN = hits.length } = {}) {
+      const candidates = hits.slice(0, topN);
+      if (candidates.length <= 1) return withRerankScores(candidates, [1]);
+
+      const passages = candidates
+        .map(
+          (h, i) =>
+            `[${i + 1}] ${String(h.item.content || "").slice(
+              0,
+              maxPassageChars
+            )}`
+        )
+        .join("\n\n");
+
+      const raw = await complete(
+        RERANK_INSTRUCTIONS,
+        `QUESTION:\n${question}\n\nPASSAGES:\n\n${passages}`
+      );
+
+      const order = parseRanking(raw, candidates.length);
+      // position → score: first = 1, last > 0
+      const scores = new Array(candidates.length).fill(0);
+      order.forEach((idx, pos) => {
+        scores[idx] = 1 - pos / candidates.length;
+      });
+
+      return withRerankScores(candidates, scores);
+    },
+  };
+}
+
+/**
+ * Parses {"ranking":[...]} (1-based) into 0-based indexes.
+ * Unknown/duplicate numbers are dropped; passages the model left out keep
+ * their retrieval order after the ranked ones.
+ */
+function parseRanking(raw, n) {
+  let ranking = [];
+  try {
+    const parsed = JSON.parse(String(raw || "").trim());
+    if (Array.isArray(parsed.ranking)) ranking = parsed.ranking;
+  } catch {
+    ranking = [];
+  }
+
+  const seen = new Set();
+  const order = [];
+  for (const r of ranking) {
+    const idx = Number(r) - 1;
+    if (Number.isInteger(idx) && idx >= 0 && idx < n && !seen.has(idx)) {
+      seen.add(idx);
+      order.push(idx);
+    }
+  }
+  for (let i = 0; i < n; i++) if (!seen.has(i)) order.push(i);
+  return order;
+}
+
+/* ---------------- helpers ---------------- */
+
+function withRerankScores(hits, scores) {
+  return hits
+    .map((h, i) => ({
+      ...h,
+      retrievalScore: h.score,
+      rerankScore: scores[i] ?? 0,
+      score: scores[i] ?? 0,
+    }))
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,186 @@
+// What it does
+
+// Conversation history for multi-turn /ask (sessionId in the request body).
+
+// Each session is a list of turns:
+// { question, standaloneQuestion, answer, sources, at }
+
+// Backends (same async interface, pick with RAG_SESSION_STORE):
+
+// "memory": Map in the server process (lost on restart, per instance)
+
+// "file": one JSON file per session under RAG_SESSION_DIR (.cache/sessions)
+
+// Interface:
+// get(id)                → { id, createdAt, updatedAt, turns } | null
+// appendTurn(id, turn)   → session (keeps the last maxTurns turns)
+// delete(id)             → true if it existed
+
+// Session ids are client-chosen strings; only [A-Za-z0-9_-] (1–128 chars) are
+// accepted so an id can be used as a filename safely.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const SESSION_STORES = ["memory", "file"];
+
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+export function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID_RE.test(id);
+}
+
+function assertSessionId(id) {
+  if (!isValidSessionId(id)) {
+    const e = new Error(
+      "Invalid sessionId (use 1-128 letters, digits, '_' or '-')."
+    );
+    e.statusCode = 400;
+    throw e;
+  }
+}
+
+export function createSessionStore(kind = "memory", options = {}) {
+  if (kind === "file") return createFileSessionStore(options);
+  return createMemorySessionStore(options);
+}
+
+function newSession(id) {
+  const now = new Date().toISOString();
+  return { id, createdAt: now, updatedAt: now, turns: [] };
+}
+
+function withTurn(session, turn, maxTurns) {
+  const turns = [...session.turns, { ...turn, at: new Date().toISOString() }];
+  return {
+    ...session,
+    updatedAt: new Date().toISOString(),
+    turns: turns.slice(-maxTurns),
+  };
+}
+
+/* ---------------- In-memory ---------------- */
+
+/**
+ * options:
+ * {
+ *   maxTurns?: number     // turns kept per session
+ *   maxSessions?: number  // least recently updated sessions are evicted
+ * }
+ */
+export function createMemorySessionStore({
+  maxTurns = 50,
+  maxSessions = 1000,
+} = {}) {
+  const sessions = new Map();
+
+  return {
+    kind: "memory",
+
+    async get(id) {
+      assertSessionId(id);
+      return sessions.get(id) || null;
+    },
+
+    async appendTurn(id, turn) {
+      assertSessionId(id);
+      const session = withTurn(
+        sessions.get(id) || newSession(id),
+        turn,
+        maxTurns
+      );
+      // Map keeps insertion order → re-insert so the oldest entry is first
+      sessions.delete(id);
+      sessions.set(id, session);
+      while (sessions.size > maxSessions) {
+        sessions.delete(sessions.keys().next().value);
+      }
+      return session;
+    },
+
+    async delete(id) {
+      assertSessionId(id);
+      return sessions.delete(id);
+    },
+  };
+}
+
+/* ---------------- File-based ---------------- */
+
+/**
+ * options:
+ * {
+ *   dir?: string       // one <sessionId>.json per session
+ *   maxTurns?: number
+ * }
+ * Writes go through a per-session queue, so concurrent turns don't
+ * overwrite each other.
+ */
+export function createFileSessionStore({
+  dir = path.join(".cache", "sessions"),
+  maxTurns = 50,
+} = {}) {
+  const writeChains = new Map();
+
+  function fileFor(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  async function read(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  function queue(id, fn) {
+    const next = (writeChains.get(id) || Promise.resolve()).then(fn, fn);
+    writeChains.set(id, next);
+    const cleanup = () => {
+      if (writeChains.get(id) === next) writeChains.delete(id);
+    };
+    next.then(cleanup, cleanup);
+    return next;
+  }
+
+  return {
+    kind: "file",
+
+    async get(id) {
+      assertSessionId(id);
+      return read(id);
+    },
+
+    async appendTurn(id, turn) {
+      assertSessionId(id);
+      return queue(id, async () => {
+        const session = withTurn(
+          (await read(id)) || newSession(id),
+          turn,
+          maxTurns
+        );
+        await fs.mkdir(dir, { recursive: true });
+        // write + rename so readers never see a half-written file
+        const tmp = `${fileFor(id)}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(session, null, 2), "utf-8");
+        await fs.rename(tmp, fileFor(id));
+        return session;
+      });
+    },
+
+    async delete(id) {
+      assertSessionId(id);
+      return queue(id, async () => {
+        try {
+          await fs.unlink(fileFor(id));
+          return true;
+        } catch (err) {
+          if (err.code === "ENOENT") return false;
+          throw err;
+        }
+      });
+    },
+  };
+}
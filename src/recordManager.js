@@ -1,6 +1,8 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import crypto from "node:crypto";
+import { countTokens } from "./tokenizer.js";
+import { normalizeMetadata, hasMetadata } from "./metadata.js";
 
 /**
  * RecordManager (LangChain-like concept)
@@ -8,14 +10,19 @@ import crypto from "node:crypto";
  * Responsibilities:
  * 1) Generate stable IDs for chunks
  * 2) Hash chunk content to detect changes
- * 3) Keep a manifest of indexed chunk IDs (what's already in DB)
- * 4) Produce a diff:
+ * 3) Keep a manifest of what's already in DB, per source document:
+ *    { fileHash, mtimeMs, size, chunking, embedModel, chunkIds, indexedAt }
+ * 4) Skip documents whose file (and sidecar) didn't change since they were
+ *    indexed with the same chunking settings + embedding model
+ * 5) Produce a diff for the rest:
  *    - toAdd: chunks not in manifest (new/changed)
  *    - toDelete: chunks in manifest but not in current docs (removed)
  *
  * Note:
  * - We use content-hash based IDs so a content change becomes:
  *   delete old chunk + add new chunk (simple and robust).
+ * - Manifest format is versioned (MANIFEST_VERSION); the original flat
+ *   { ids: [] } shape is migrated on load.
  */
 
 export const DEFAULT_MANIFEST_PATH = path.join(".cache", "record_manager.json");
@@ -27,52 +34,177 @@ export function sha256(text) {
 /**
  * Stable chunk id:
  * - Includes source + contentHash prefix (keeps it unique across docs)
+ * - If the document has metadata, its hash is mixed in too, so editing
+ *   front matter/sidecar (e.g. tags) re-indexes the chunks with new columns
+ * - So is a Markdown chunk's headingPath: renaming a parent heading
+ *   re-indexes the chunks under it instead of keeping the old path
  */
-export function makeChunkId({ source, contentHash }) {
-  return `${source}:${contentHash.slice(0, 20)}`;
+export function makeChunkId({ source, contentHash, metadataHash = "" }) {
+  const h = metadataHash ? sha256(contentHash + metadataHash) : contentHash;
+  return `${source}:${h.slice(0, 20)}`;
 }
 
 /**
  * Citation id used for display/citations (human-readable):
  * - kept as source#chunkIndex
+ * - paged docs (PDF) use source#p<page>-<chunk within page>, e.g. handbook.pdf#p12-3
  */
-export function makeCitationId({ source, chunkIndex }) {
+export function makeCitationId({ source, chunkIndex, page, pageChunkIndex }) {
+  if (page) return `${source}#p${page}-${pageChunkIndex ?? 0}`;
   return `${source}#${chunkIndex}`;
 }
 
+/** Source of a chunk id ("data/a.md:3f9c…" → "data/a.md") */
+export function sourceOfChunkId(id) {
+  const i = id.lastIndexOf(":");
+  return i === -1 ? id : id.slice(0, i);
+}
+
+export const MANIFEST_VERSION = 2;
+
+/**
+ * Manifest (v2):
+ * {
+ *   version: 2,
+ *   sources: {
+ *     "data/a.md": {
+ *       fileHash, mtimeMs, size,   // file + sidecar fingerprint
+ *       chunking, embedModel,      // settings the chunks were built with
+ *       chunkIds: string[],
+ *       indexedAt                  // ISO date of the last change
+ *     }
+ *   }
+ * }
+ * Records migrated from v1 have no fingerprint/settings (null), so their
+ * documents are re-read once and diffed by chunk id.
+ */
+export function emptyManifest() {
+  return { version: MANIFEST_VERSION, sources: {} };
+}
+
+/** v1 ({ ids, indexedAt? }) → v2, grouping chunk ids by source */
+export function manifestFromIds(ids, indexedAt = {}) {
+  const manifest = emptyManifest();
+  for (const id of ids) {
+    const source = sourceOfChunkId(id);
+    manifest.sources[source] ??= {
+      fileHash: null,
+      mtimeMs: null,
+      size: null,
+      chunking: null,
+      embedModel: null,
+      chunkIds: [],
+      indexedAt: indexedAt[source],
+    };
+    manifest.sources[source].chunkIds.push(id);
+  }
+  return manifest;
+}
+
 export async function loadManifest(filePath = DEFAULT_MANIFEST_PATH) {
+  let data;
   try {
-    const raw = await fs.readFile(filePath, "utf-8");
-    const data = JSON.parse(raw);
-    // data = { ids: string[] }
-    return new Set(Array.isArray(data.ids) ? data.ids : []);
+    data = JSON.parse(await fs.readFile(filePath, "utf-8"));
   } catch {
-    return new Set();
+    return emptyManifest();
   }
+
+  if (data?.version === MANIFEST_VERSION && data.sources) return data;
+  if (Array.isArray(data?.ids)) {
+    return manifestFromIds(data.ids, data.indexedAt || {});
+  }
+  return emptyManifest();
 }
 
-export async function saveManifest(idsSet, filePath = DEFAULT_MANIFEST_PATH) {
+export async function saveManifest(manifest, filePath = DEFAULT_MANIFEST_PATH) {
   await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
   await fs.writeFile(
-    filePath,
-    JSON.stringify({ ids: [...idsSet] }, null, 2),
+    tmp,
+    JSON.stringify({ ...manifest, version: MANIFEST_VERSION }, null, 2),
     "utf-8"
   );
+  await fs.rename(tmp, filePath);
+}
+
+/** All chunk ids in a manifest */
+export function manifestIds(manifest) {
+  return new Set(
+    Object.values(manifest.sources).flatMap((r) => r.chunkIds || [])
+  );
+}
+
+/** Stable JSON (sorted keys), so settings compare equal regardless of key order */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Were this source's chunks built with other chunking settings or another
+ * embedding model? (unknown settings — a migrated record — count as the same:
+ * the chunk id diff still catches changed chunks)
+ */
+export function settingsChanged(record, { chunking, embedModel }) {
+  if (!record?.chunking || !record?.embedModel) return false;
+  return (
+    record.embedModel !== embedModel ||
+    stableStringify(record.chunking) !== stableStringify(chunking)
+  );
+}
+
+/**
+ * File fingerprint: size + mtime (cheap, checked first) and a content hash
+ * over the file and its .meta.json sidecar (metadata is part of the chunk ids).
+ */
+export async function statDocument(file) {
+  const st = await fs.stat(file);
+  const side = await fs.stat(`${file}.meta.json`).catch(() => null);
+  return {
+    size: st.size + (side?.size ?? 0),
+    mtimeMs: Math.max(st.mtimeMs, side?.mtimeMs ?? 0),
+  };
+}
+
+export async function hashDocument(file) {
+  const hash = crypto.createHash("sha256").update(await fs.readFile(file));
+  const side = await fs.readFile(`${file}.meta.json`).catch(() => null);
+  if (side) hash.update("\0meta\0").update(side);
+  return hash.digest("hex");
 }
 
 /**
  * Compute current chunk IDs for all chunks.
  * Returns:
- * - items: [{ id, contentHash, citationId, source, chunkIndex, content }]
+ * - items: [{ id, contentHash, citationId, source, chunkIndex, page, headingPath, tokenCount,
+ *             title, tags, owner, product, effectiveDate, content }]
+ *   (page is 0 for documents without pages, headingPath is "" outside Markdown sections,
+ *    tokenCount is measured with `encoding`, the chunk options' tokenizer;
+ *    default: the embedding model's)
  * - idSet: Set<string>
  */
-export function computeChunkMeta(chunks) {
+export function computeChunkMeta(chunks, { encoding } = {}) {
   const items = chunks.map((c) => {
     const contentHash = sha256(c.content);
-    const id = makeChunkId({ source: c.source, contentHash });
+    const metadata = normalizeMetadata(c.metadata);
+    const keyed = c.headingPath
+      ? { ...metadata, headingPath: c.headingPath }
+      : metadata;
+    const metadataHash = hasMetadata(keyed)
+      ? sha256(JSON.stringify(keyed))
+      : "";
+    const id = makeChunkId({ source: c.source, contentHash, metadataHash });
     const citationId = makeCitationId({
       source: c.source,
       chunkIndex: c.chunkIndex,
+      page: c.page,
+      pageChunkIndex: c.pageChunkIndex,
     });
 
     return {
@@ -81,6 +213,10 @@ export function computeChunkMeta(chunks) {
       citationId,
       source: c.source,
       chunkIndex: c.chunkIndex,
+      page: c.page ?? 0,
+      headingPath: c.headingPath ?? "",
+      tokenCount: countTokens(c.content, { encoding }),
+      ...metadata,
       content: c.content,
     };
   });
@@ -0,0 +1,141 @@
+// What it does
+
+// Semantic chunking (optional, chunk.strategy = "semantic"):
+
+// 1) split text into sentences (Intl.Segmenter, works for CJK too)
+
+// 2) embed each sentence together with its neighbours (small window)
+
+// 3) similarity between adjacent sentences = dot product (unit vectors)
+
+// 4) cut where similarity drops below the Nth percentile
+//    → a topic shift starts a new chunk
+
+// 5) min/max chunk size keep chunks from being tiny or huge
+
+// Why it matters
+
+// Fixed-size splitting can break one topic across chunks or lump two
+// topics together; breakpoints follow the meaning of the text instead.
+
+// Cost: every sentence is embedded at index time (batched).
+
+import { chunkTextRecursive, normalizeText, dot } from "./lib.js";
+import { getSizer } from "./tokenizer.js";
+
+/**
+ * chunkTextSemantic(text, options) → Promise<string[]>
+ * options:
+ * {
+ *   embed: (texts: string[]) => Promise<number[][]>  // unit vectors (embedTexts)
+ *   breakpointPercentile?: number  // cut below this percentile of similarities (default 10)
+ *   minChunkSize?: number          // don't cut before a chunk reaches this size (default 200)
+ *   maxChunkSize?: number          // always cut before exceeding this size (default 1200)
+ *   windowSize?: number            // neighbours on each side embedded with a sentence (default 1)
+ *   unit?: "chars" | "tokens"      // unit for min/max sizes (default "chars")
+ *   batchSize?: number             // sentences per embeddings request (default 64)
+ * }
+ */
+export async function chunkTextSemantic(
+  text,
+  {
+    embed,
+    breakpointPercentile = 10,
+    minChunkSize = 200,
+    maxChunkSize = 1200,
+    windowSize = 1,
+    unit = "chars",
+    encoding,
+    batchSize = 64,
+  } = {}
+) {
+  if (typeof embed !== "function")
+    throw new Error('chunk.strategy "semantic" requires an embed function');
+
+  const sizer = getSizer(unit, { encoding });
+  const fallback = (t) =>
+    chunkTextRecursive(t, {
+      chunkSize: maxChunkSize,
+      chunkOverlap: 0,
+      unit,
+      encoding,
+    });
+
+  const t = normalizeText(text);
+  if (!t) return [];
+
+  const sentences = splitSentences(t);
+  if (sentences.length <= 1) return fallback(t);
+
+  // Embed each sentence with a little surrounding context to smooth noise
+  const windows = sentences.map((_, i) =>
+    sentences.slice(Math.max(0, i - windowSize), i + windowSize + 1).join(" ")
+  );
+
+  const vectors = [];
+  for (let i = 0; i < windows.length; i += batchSize) {
+    vectors.push(...(await embed(windows.slice(i, i + batchSize))));
+  }
+
+  const sims = [];
+  for (let i = 0; i < vectors.length - 1; i++) {
+    sims.push(dot(vectors[i], vectors[i + 1]));
+  }
+  const threshold = percentile(sims, breakpointPercentile);
+
+  const chunks = [];
+  let current = "";
+
+  const pushCurrent = () => {
+    const c = current.trim();
+    if (c) chunks.push(c);
+    current = "";
+  };
+
+  sentences.forEach((sentence, i) => {
+    // One sentence longer than the max: split it the classic way
+    if (sizer.length(sentence) > maxChunkSize) {
+      pushCurrent();
+      chunks.push(...fallback(sentence));
+      return;
+    }
+
+    const joined = current ? `${current} ${sentence}` : sentence;
+    if (current && sizer.length(joined) > maxChunkSize) {
+      pushCurrent();
+      current = sentence;
+    } else {
+      current = joined;
+    }
+
+    // sims[i] compares sentence i with sentence i+1
+    const isBreakpoint = i < sims.length && sims[i] < threshold;
+    if (isBreakpoint && sizer.length(current) >= minChunkSize) pushCurrent();
+  });
+
+  pushCurrent();
+  return chunks;
+}
+
+export function splitSentences(text) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: "sentence" });
+  const out = [];
+  for (const { segment } of segmenter.segment(text)) {
+    // keep paragraph breaks as sentence boundaries, drop empty bits
+    for (const part of segment.split(/\n{2,}/)) {
+      const s = part.trim();
+      if (s) out.push(s);
+    }
+  }
+  return out;
+}
+
+/** Linear-interpolated percentile (p in 0..100) */
+function percentile(values, p) {
+  if (values.length === 0) return -Infinity;
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (Math.min(100, Math.max(0, p)) / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
@@ -18,13 +18,41 @@
 
 // returns answer JSON
 
+// POST /ask/stream
+
+// same pipeline, answer tokens streamed as Server-Sent Events
+
+// POST /search
+
+// retrieval only: ranked passages (paginated), no answer generation
+
+// GET / DELETE /sessions/:sessionId
+
+// read or forget a conversation (sessionId in /ask body)
+
+// POST / GET / DELETE /documents
+
+// upload, list and delete documents; only the affected source is reindexed
+
 // POST /reindex
 
 // protected endpoint
 
-// rebuilds index from docs using buildIndex
+// starts a background job that rebuilds the index with buildIndex (jobs.js)
+
+// the job reloads the store in the engine when it ends
+
+// POST /reindex/verify
+
+// background job: docs on disk vs. table rows vs. manifest (+ optional repair)
 
-// reloads store in engine
+// GET /reindex/versions, POST /reindex/rollback
+
+// list full-rebuild table versions, switch back to an earlier one
+
+// GET / DELETE /jobs/:id
+
+// job status + progress, or cancel it
 
 // Security: RAG_API_KEY
 
@@ -61,9 +89,29 @@
 
 // returns answer + sources to frontend
 
+// POST /search
+
+// passes question + filters to engine.search() → ranked hits for a
+// "matching passages" panel or other services
+
+// POST /ask/stream
+
+// streams sources → answer deltas → done (SSE)
+
+// client disconnect aborts generation
+
+// GET / DELETE /sessions/:sessionId
+
+// conversation history for multi-turn /ask
+
+// /documents (optional)
+
+// writes files into the data directory (path traversal / extension checks
+// in documents.js) and indexes just that source via the manifest
+
 // POST /reindex (optional)
 
-// runs indexing pipeline again
+// runs indexing pipeline again as a background job (GET /jobs/:id to poll)
 
 // reloads LanceDB table in engine
 
@@ -82,18 +130,44 @@ import "dotenv/config";
 import Fastify from "fastify";
 import cors from "@fastify/cors";
 import rateLimit from "@fastify/rate-limit";
-
-import { initRagEngine } from "./rag/engine.js";
-import { buildIndex } from "./indexer.js";
+import multipart from "@fastify/multipart";
+
+import { initRagEngine, RETRIEVAL_MODES } from "./rag/engine.js";
+import { RERANKERS } from "./rag/rerank.js";
+import { isValidSessionId } from "./rag/sessions.js";
+import { GROUNDEDNESS_METHODS } from "./rag/groundedness.js";
+import { buildIndex, verifyIndex } from "./indexer.js";
+import { createJobManager } from "./jobs.js";
+import { listVersions, rollbackVersion } from "./tableVersions.js";
+import {
+  resolveDocumentPath,
+  resolveSource,
+  writeDocument,
+  deleteDocument,
+  listDocuments,
+  getDocument,
+} from "./documents.js";
 
 const PORT = Number(process.env.PORT || 3001);
 const API_KEY = process.env.RAG_API_KEY || "";
 const CORS_ORIGIN = process.env.CORS_ORIGIN || true;
-
-function requireApiKey(req, reply) {
+const DATA_DIR = process.env.RAG_DATA_DIR || "data";
+const INDEX_TABLE = process.env.LANCEDB_TABLE || "rag_chunks";
+const LANCEDB_URI = process.env.LANCEDB_URI || "./.lancedb";
+const JOBS_KEEP = Number(process.env.RAG_JOBS_KEEP || 100);
+const UPLOAD_MAX_BYTES = Number(
+  process.env.RAG_UPLOAD_MAX_BYTES || 20 * 1024 * 1024
+);
+// JSON uploads: base64 is 4/3 of the document, plus room for path, metadata
+// and string escapes (Fastify's default bodyLimit is only 1 MB)
+const JSON_UPLOAD_BODY_LIMIT =
+  Math.ceil((UPLOAD_MAX_BYTES * 4) / 3) + 1024 * 1024;
+
+// async: Fastify awaits the returned promise
+async function requireApiKey(req, reply) {
   if (!API_KEY) return;
   const key = req.headers["x-api-key"];
-  if (key !== API_KEY) reply.code(401).send({ error: "Unauthorized" });
+  if (key !== API_KEY) return reply.code(401).send({ error: "Unauthorized" });
 }
 
 function normalizeAskPayload(body) {
@@ -115,7 +189,115 @@ function normalizeAskPayload(body) {
 
   const mustIncludeMode = body?.mustIncludeMode === "any" ? "any" : "all";
 
-  return { question, filters, mustInclude, mustIncludeMode };
+  // Optional per-request retrieval mode (falls back to RAG_RETRIEVAL_MODE)
+  const retrievalMode = RETRIEVAL_MODES.includes(body?.retrievalMode)
+    ? body.retrievalMode
+    : undefined;
+
+  // Optional per-request reranker (falls back to RAG_RERANKER); "none" disables it
+  const reranker = RERANKERS.includes(body?.reranker)
+    ? body.reranker
+    : undefined;
+
+  // Optional per-request groundedness check (falls back to RAG_GROUNDEDNESS)
+  const groundedness = GROUNDEDNESS_METHODS.includes(body?.groundedness)
+    ? body.groundedness
+    : undefined;
+
+  // Optional conversation id (multi-turn); validated by the route
+  const sessionId = body?.sessionId ?? undefined;
+
+  return {
+    question,
+    sessionId,
+    filters,
+    mustInclude,
+    mustIncludeMode,
+    retrievalMode,
+    reranker,
+    groundedness,
+  };
+}
+
+/**
+ * Document from POST /documents:
+ * - multipart: one file part (+ optional "path" and "metadata" JSON fields)
+ * - JSON: { path, text } or { path, base64 } (+ optional metadata object)
+ * Returns { relPath, data, metadata }.
+ */
+async function readUpload(req) {
+  if (req.isMultipart()) {
+    let data;
+    let filename;
+    const fields = {};
+    for await (const part of req.parts()) {
+      if (part.type === "file") {
+        if (data) {
+          const e = new Error("Upload one file per request");
+          e.statusCode = 400;
+          throw e;
+        }
+        filename = part.filename;
+        data = await part.toBuffer();
+      } else {
+        fields[part.fieldname] = part.value;
+      }
+    }
+    if (!data) {
+      const e = new Error("file is required");
+      e.statusCode = 400;
+      throw e;
+    }
+    return {
+      relPath: fields.path || filename,
+      data,
+      metadata: fields.metadata
+        ? parseMetadataField(fields.metadata)
+        : undefined,
+    };
+  }
+
+  const body = req.body || {};
+  let data;
+  if (typeof body.text === "string") data = body.text;
+  else if (typeof body.base64 === "string")
+    data = Buffer.from(body.base64, "base64");
+  if (data === undefined) {
+    const e = new Error("text or base64 is required");
+    e.statusCode = 400;
+    throw e;
+  }
+  if (Buffer.byteLength(data) > UPLOAD_MAX_BYTES) {
+    const e = new Error("Document is too large");
+    e.statusCode = 413;
+    throw e;
+  }
+  return {
+    relPath: body.path,
+    data,
+    metadata:
+      body.metadata && typeof body.metadata === "object"
+        ? body.metadata
+        : undefined,
+  };
+}
+
+function parseMetadataField(value) {
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed))
+      return parsed;
+  } catch {}
+  const e = new Error("metadata must be a JSON object");
+  e.statusCode = 400;
+  throw e;
+}
+
+const INVALID_SESSION_ID =
+  "sessionId must be 1-128 letters, digits, '_' or '-'";
+
+function writeSse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 async function main() {
@@ -130,26 +312,49 @@ async function main() {
     timeWindow: "1 minute",
   });
 
+  await app.register(multipart, {
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+  });
+
   app.get("/health", async () => ({ ok: true }));
 
   app.log.info("Loading RAG engine...");
   const engine = await initRagEngine({ log: app.log });
   app.log.info("RAG engine ready.");
 
+  // Index writes (reindex jobs, document upload/delete) run one at a time
+  const jobs = createJobManager({ log: app.log, keep: JOBS_KEEP });
+  const runExclusive = (fn) => jobs.runExclusive(INDEX_TABLE, fn);
+
   /**
    * POST /ask
    * Body:
    * {
    *   question: string,
-   *   filters?: { sources?: string[], sourcePrefix?: string },
+   *   sessionId?: string,   // continue a conversation (follow-ups are condensed)
+   *   filters?: {
+   *     sources?: string[], sourcePrefix?: string,
+   *     tags?: string[], title?, owner?, product?, effectiveDate?: string | string[]
+   *   },
    *   mustInclude?: string[] | "keyword keyword",
-   *   mustIncludeMode?: "all" | "any"
+   *   mustIncludeMode?: "all" | "any",
+   *   retrievalMode?: "hybrid" | "vector" | "fts",
+   *   reranker?: "none" | "cross-encoder" | "llm",
+   *   groundedness?: "off" | "llm" | "lexical"
    * }
    */
   app.post("/ask", { preHandler: requireApiKey }, async (req, reply) => {
     try {
-      const { question, filters, mustInclude, mustIncludeMode } =
-        normalizeAskPayload(req.body);
+      const {
+        question,
+        sessionId,
+        filters,
+        mustInclude,
+        mustIncludeMode,
+        retrievalMode,
+        reranker,
+        groundedness,
+      } = normalizeAskPayload(req.body);
 
       if (
         !question ||
@@ -158,11 +363,67 @@ async function main() {
       ) {
         return reply.code(400).send({ error: "question is required" });
       }
+      if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+        return reply.code(400).send({ error: INVALID_SESSION_ID });
+      }
 
       const result = await engine.ask(question.trim(), {
+        sessionId,
+        filters,
+        mustInclude,
+        mustIncludeMode,
+        retrievalMode,
+        reranker,
+        groundedness,
+      });
+
+      return reply.send(result);
+    } catch (err) {
+      req.log.error(err);
+      return reply
+        .code(err.statusCode || 500)
+        .send({ error: err.message || "Internal error" });
+    }
+  });
+
+  /**
+   * POST /search
+   * Retrieval only (no answer generation): ranked passages with scores.
+   * Body: same as /ask (without sessionId) plus
+   * {
+   *   offset?: number,          // default 0
+   *   limit?: number,           // default 10
+   *   includeContent?: boolean  // default true (snippet is always included)
+   * }
+   */
+  app.post("/search", { preHandler: requireApiKey }, async (req, reply) => {
+    try {
+      const {
+        question,
         filters,
         mustInclude,
         mustIncludeMode,
+        retrievalMode,
+        reranker,
+      } = normalizeAskPayload(req.body);
+
+      if (
+        !question ||
+        typeof question !== "string" ||
+        question.trim().length < 2
+      ) {
+        return reply.code(400).send({ error: "question is required" });
+      }
+
+      const result = await engine.search(question.trim(), {
+        filters,
+        mustInclude,
+        mustIncludeMode,
+        retrievalMode,
+        reranker,
+        offset: req.body?.offset,
+        limit: req.body?.limit,
+        includeContent: req.body?.includeContent !== false,
       });
 
       return reply.send(result);
@@ -174,27 +435,452 @@ async function main() {
     }
   });
 
+  /**
+   * POST /ask/stream
+   * Same body as /ask. Responds with Server-Sent Events:
+   *
+   *   event: sources  data: { sources, chunks, citations }  (citations:
+   *                   deprecated alias of chunks)
+   *   event: delta    data: { text }          (repeated; one delta after the
+   *                   groundedness check when that is on)
+   *   event: done     data: { answer, sources, citations, invalidCitations,
+   *                   uncitedSources, groundedness?, sessionId?, cached,
+   *                   durationMs, debug? }
+   *   event: error    data: { error, statusCode }
+   *
+   * Closing the connection aborts the upstream generation.
+   */
+  app.post("/ask/stream", { preHandler: requireApiKey }, async (req, reply) => {
+    const {
+      question,
+      sessionId,
+      filters,
+      mustInclude,
+      mustIncludeMode,
+      retrievalMode,
+      reranker,
+      groundedness,
+    } = normalizeAskPayload(req.body);
+
+    if (
+      !question ||
+      typeof question !== "string" ||
+      question.trim().length < 2
+    ) {
+      return reply.code(400).send({ error: "question is required" });
+    }
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+      return reply.code(400).send({ error: INVALID_SESSION_ID });
+    }
+
+    const controller = new AbortController();
+    reply.raw.on("close", () => {
+      if (!reply.raw.writableEnded) controller.abort();
+    });
+
+    // We write the response ourselves; keep headers set by hooks (CORS, rate limit)
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      ...reply.getHeaders(),
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    try {
+      const events = engine.askStream(
+        question.trim(),
+        {
+          sessionId,
+          filters,
+          mustInclude,
+          mustIncludeMode,
+          retrievalMode,
+          reranker,
+          groundedness,
+        },
+        { signal: controller.signal }
+      );
+      for await (const { event, data } of events) {
+        if (controller.signal.aborted) break;
+        writeSse(reply.raw, event, data);
+      }
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        req.log.error(err);
+        writeSse(reply.raw, "error", {
+          error: err.message || "Internal error",
+          statusCode: err.statusCode || 500,
+        });
+      }
+    }
+
+    if (controller.signal.aborted) {
+      req.log.info("Client disconnected; stream aborted.");
+    } else {
+      reply.raw.end();
+    }
+  });
+
+  /**
+   * GET /sessions/:sessionId
+   * Conversation history: { sessionId, createdAt, updatedAt, turns }
+   */
+  app.get(
+    "/sessions/:sessionId",
+    { preHandler: requireApiKey },
+    async (req, reply) => {
+      const { sessionId } = req.params;
+      if (!isValidSessionId(sessionId)) {
+        return reply.code(400).send({ error: INVALID_SESSION_ID });
+      }
+      try {
+        const session = await engine.getSession(sessionId);
+        if (!session) {
+          return reply.code(404).send({ error: "Session not found" });
+        }
+        const { id, ...rest } = session;
+        return reply.send({ sessionId: id, ...rest });
+      } catch (err) {
+        req.log.error(err);
+        return reply
+          .code(err.statusCode || 500)
+          .send({ error: err.message || "Internal error" });
+      }
+    }
+  );
+
+  /**
+   * DELETE /sessions/:sessionId
+   * Forgets the conversation history.
+   */
+  app.delete(
+    "/sessions/:sessionId",
+    { preHandler: requireApiKey },
+    async (req, reply) => {
+      const { sessionId } = req.params;
+      if (!isValidSessionId(sessionId)) {
+        return reply.code(400).send({ error: INVALID_SESSION_ID });
+      }
+      try {
+        const deleted = await engine.deleteSession(sessionId);
+        if (!deleted) {
+          return reply.code(404).send({ error: "Session not found" });
+        }
+        return reply.send({ ok: true, sessionId });
+      } catch (err) {
+        req.log.error(err);
+        return reply
+          .code(err.statusCode || 500)
+          .send({ error: err.message || "Internal error" });
+      }
+    }
+  );
+
   /**
    * POST /reindex
    * Protected by x-api-key (if RAG_API_KEY is set)
+   * Starts a background job → 202 { ok, jobId, job }
+   * 409 { error, jobId } if a reindex job is already queued/running
    */
   app.post("/reindex", { preHandler: requireApiKey }, async (req, reply) => {
     try {
       const mode = req.body?.mode === "full" ? "full" : "incremental";
 
       app.log.info(`Reindex requested (mode=${mode})...`);
-      const result = await buildIndex({ mode, logger: app.log });
+      const job = jobs.start({
+        type: "reindex",
+        table: INDEX_TABLE,
+        params: { mode },
+        run: async ({ signal, onProgress }) => {
+          try {
+            return await buildIndex({
+              mode,
+              dataDir: DATA_DIR,
+              logger: app.log,
+              signal,
+              onProgress,
+              // switch before old versions are dropped
+              onActivated: () => engine.reloadStore(),
+            });
+          } finally {
+            // a cancelled incremental run may already have written batches
+            await engine.reloadStore();
+          }
+        },
+      });
+
+      return reply.code(202).send({ ok: true, jobId: job.id, job });
+    } catch (err) {
+      req.log.error(err);
+      return reply
+        .code(err.statusCode || 500)
+        .send({ error: err.message || "Reindex failed", jobId: err.jobId });
+    }
+  });
+
+  /**
+   * POST /reindex/verify
+   * Body: { repair?: boolean }
+   * Starts a background job comparing docs on disk, table rows and the
+   * manifest → 202 { ok, jobId, job }; the report is the job's result.
+   */
+  app.post(
+    "/reindex/verify",
+    { preHandler: requireApiKey },
+    async (req, reply) => {
+      try {
+        const repair = req.body?.repair === true;
+        const job = jobs.start({
+          type: "verify",
+          table: INDEX_TABLE,
+          params: { repair },
+          run: async ({ signal, onProgress }) => {
+            try {
+              return await verifyIndex({
+                repair,
+                dataDir: DATA_DIR,
+                logger: app.log,
+                signal,
+                onProgress,
+              });
+            } finally {
+              if (repair) await engine.reloadStore();
+            }
+          },
+        });
+
+        return reply.code(202).send({ ok: true, jobId: job.id, job });
+      } catch (err) {
+        req.log.error(err);
+        return reply
+          .code(err.statusCode || 500)
+          .send({ error: err.message || "Verify failed", jobId: err.jobId });
+      }
+    }
+  );
+
+  /**
+   * GET /reindex/versions
+   * → { table, active, previous, versions: [{ name, createdAt, rows, activatedAt, active, exists }] }
+   */
+  app.get(
+    "/reindex/versions",
+    { preHandler: requireApiKey },
+    async (req, reply) => {
+      try {
+        return reply.send(
+          await listVersions({ uri: LANCEDB_URI, tableName: INDEX_TABLE })
+        );
+      } catch (err) {
+        req.log.error(err);
+        return reply
+          .code(err.statusCode || 500)
+          .send({ error: err.message || "Internal error" });
+      }
+    }
+  );
+
+  /**
+   * POST /reindex/rollback
+   * Body: { version?: string }   // default: the previously active version
+   * Switches the engine back to an earlier full-rebuild table version.
+   * 409 while a reindex job is queued/running.
+   */
+  app.post(
+    "/reindex/rollback",
+    { preHandler: requireApiKey },
+    async (req, reply) => {
+      try {
+        const running = jobs.findActive({ table: INDEX_TABLE });
+        if (running) {
+          return reply.code(409).send({
+            error: "A reindex job is active; cancel it or wait for it first",
+            jobId: running.id,
+          });
+        }
+
+        const version =
+          typeof req.body?.version === "string" ? req.body.version : undefined;
+        const result = await runExclusive(async () => {
+          const r = await rollbackVersion({
+            uri: LANCEDB_URI,
+            tableName: INDEX_TABLE,
+            version,
+            logger: app.log,
+          });
+          await engine.reloadStore();
+          return r;
+        });
+
+        return reply.send({ ok: true, ...result });
+      } catch (err) {
+        req.log.error(err);
+        return reply
+          .code(err.statusCode || 500)
+          .send({ error: err.message || "Rollback failed" });
+      }
+    }
+  );
 
-      await engine.reloadStore();
-      return reply.send({ ok: true, ...result });
+  /**
+   * GET /jobs
+   * → { jobs: [...] } newest first
+   */
+  app.get("/jobs", { preHandler: requireApiKey }, async () => ({
+    jobs: jobs.list(),
+  }));
+
+  /**
+   * GET /jobs/:id
+   * → { id, type, status, progress: { phase, processed, total },
+   *     result?, error?, createdAt, startedAt, finishedAt, durationMs }
+   */
+  app.get("/jobs/:id", { preHandler: requireApiKey }, async (req, reply) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return reply.code(404).send({ error: "Job not found" });
+    return reply.send(job);
+  });
+
+  /**
+   * DELETE /jobs/:id
+   * Cancels a queued job, or a running one at its next batch boundary
+   * (status "cancelling" until then). 409 if the job already finished.
+   */
+  app.delete("/jobs/:id", { preHandler: requireApiKey }, async (req, reply) => {
+    try {
+      const job = jobs.cancel(req.params.id);
+      if (!job) return reply.code(404).send({ error: "Job not found" });
+      return reply.send({ ok: true, job });
+    } catch (err) {
+      return reply
+        .code(err.statusCode || 500)
+        .send({ error: err.message || "Internal error" });
+    }
+  });
+
+  /**
+   * POST /documents
+   * Adds or replaces a document in the data directory and indexes only it.
+   * multipart/form-data: file (+ path?: "policies/refunds.md", metadata?: JSON)
+   * application/json:    { path, text | base64, metadata? }
+   * → { ok, source, created, index: { added, deleted, chunksCount } }
+   */
+  app.post(
+    "/documents",
+    { preHandler: requireApiKey, bodyLimit: JSON_UPLOAD_BODY_LIMIT },
+    async (req, reply) => {
+      try {
+        const { relPath, data, metadata } = await readUpload(req);
+        const { file, source } = resolveDocumentPath(relPath, {
+          dataDir: DATA_DIR,
+        });
+
+        const result = await runExclusive(async () => {
+          const { created } = await writeDocument(file, data, { metadata });
+          const index = await buildIndex({
+            sources: [source],
+            dataDir: DATA_DIR,
+            logger: app.log,
+          });
+          await engine.reloadStore();
+          return { created, index };
+        });
+
+        return reply
+          .code(result.created ? 201 : 200)
+          .send({ ok: true, source, ...result });
+      } catch (err) {
+        req.log.error(err);
+        return reply
+          .code(err.statusCode || 500)
+          .send({ error: err.message || "Upload failed" });
+      }
+    }
+  );
+
+  /**
+   * GET /documents
+   * → { documents: [{ source, exists, size, modifiedAt, chunks, indexedAt }] }
+   */
+  app.get("/documents", { preHandler: requireApiKey }, async (req, reply) => {
+    try {
+      const documents = await listDocuments({ dataDir: DATA_DIR });
+      return reply.send({ documents });
     } catch (err) {
       req.log.error(err);
       return reply
         .code(err.statusCode || 500)
-        .send({ error: err.message || "Reindex failed" });
+        .send({ error: err.message || "Internal error" });
     }
   });
 
+  /**
+   * GET /documents/:source   (e.g. /documents/data/policies/refunds.md)
+   * → { source, exists, size, modifiedAt, chunks, indexedAt, chunkList: [...] }
+   */
+  app.get("/documents/*", { preHandler: requireApiKey }, async (req, reply) => {
+    try {
+      const { source } = resolveSource(req.params["*"], { dataDir: DATA_DIR });
+      const doc = await getDocument(source);
+      if (!doc) return reply.code(404).send({ error: "Document not found" });
+
+      const chunkList = (await engine.store.listBySource(source)).map((c) => ({
+        id: c.id,
+        citationId: c.citationId,
+        chunkIndex: c.chunkIndex,
+        page: c.page || undefined,
+        headingPath: c.headingPath || undefined,
+        tokenCount: c.tokenCount,
+      }));
+      return reply.send({ ...doc, chunkList });
+    } catch (err) {
+      req.log.error(err);
+      return reply
+        .code(err.statusCode || 500)
+        .send({ error: err.message || "Internal error" });
+    }
+  });
+
+  /**
+   * DELETE /documents/:source
+   * Deletes the file (and its .meta.json sidecar) and removes its chunks.
+   * → { ok, source, index: { deleted } }
+   */
+  app.delete(
+    "/documents/*",
+    { preHandler: requireApiKey },
+    async (req, reply) => {
+      try {
+        const { file, source } = resolveSource(req.params["*"], {
+          dataDir: DATA_DIR,
+        });
+        // checked under the lock: an upload or delete in flight may change it
+        const index = await runExclusive(async () => {
+          if (!(await getDocument(source))) return null;
+          await deleteDocument(file);
+          const r = await buildIndex({
+            sources: [source],
+            dataDir: DATA_DIR,
+            logger: app.log,
+          });
+          await engine.reloadStore();
+          return r;
+        });
+        if (!index)
+          return reply.code(404).send({ error: "Document not found" });
+
+        return reply.send({ ok: true, source, index });
+      } catch (err) {
+        req.log.error(err);
+        return reply
+          .code(err.statusCode || 500)
+          .send({ error: err.message || "Delete failed" });
+      }
+    }
+  );
+
   await app.listen({ port: PORT, host: "0.0.0.0" });
   app.log.info(`Server running: http://localhost:${PORT}`);
 }
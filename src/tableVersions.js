@@ -0,0 +1,311 @@
+// What it does
+
+// Blue/green tables for full rebuilds.
+
+// A full rebuild never touches the live table: it writes a new versioned
+// table (rag_chunks_v20250110091203120), validates it, and only then points
+// the logical table name at it. Queries keep hitting the old version until
+// reloadStore() swaps the engine over.
+
+// The pointer lives in a small registry file next to the manifest:
+
+// .cache/<table>.versions.json = { table, active, previous, versions: [...] }
+
+// Without a registry the logical name itself is the table (older setups), and
+// it becomes the first "version" once a versioned rebuild replaces it.
+
+// Manifests follow the active table
+
+// The manifest describes what is in the active table, so switching versions
+// archives the outgoing manifest (.cache/manifests/<version>.json) and restores
+// the incoming one. Incremental runs then keep working on whichever version
+// is live.
+
+// Rollback
+
+// rollbackVersion() switches back to an earlier version (default: the one
+// that was active before the current one). pruneVersions() keeps the last
+// `keep` inactive versions and drops older ones; it runs only after the
+// engine has switched, and never drops the previous version.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import * as lancedb from "@lancedb/lancedb";
+import {
+  DEFAULT_MANIFEST_PATH,
+  saveManifest,
+  manifestFromIds,
+} from "./recordManager.js";
+
+const REGISTRY_DIR = ".cache";
+
+// IVF_PQ needs enough rows to train; smaller tables are searched by brute force
+const MIN_ROWS_FOR_VECTOR_INDEX = 256;
+
+// cosine distance of a vector to itself, give or take float32 rounding
+const PROBE_MAX_DISTANCE = 1e-4;
+
+function registryPath(tableName) {
+  return path.join(REGISTRY_DIR, `${tableName}.versions.json`);
+}
+
+function archivedManifestPath(manifestPath, version) {
+  return path.join(path.dirname(manifestPath), "manifests", `${version}.json`);
+}
+
+async function writeJsonAtomic(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2), "utf-8");
+  await fs.rename(tmp, filePath);
+}
+
+function httpError(message, statusCode) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+/** { table, active, previous, versions: [{ name, createdAt, rows, activatedAt }] } */
+export async function loadRegistry(tableName) {
+  try {
+    const raw = JSON.parse(await fs.readFile(registryPath(tableName), "utf-8"));
+    return { table: tableName, versions: [], ...raw };
+  } catch {
+    return { table: tableName, active: null, previous: null, versions: [] };
+  }
+}
+
+/** Physical table currently serving `tableName` */
+export async function resolveActiveTable(tableName) {
+  return (await loadRegistry(tableName)).active || tableName;
+}
+
+/** A new, sortable version name: rag_chunks_v20250110091203120 */
+export function newVersionName(tableName) {
+  const stamp = new Date().toISOString().replace(/\D/g, "").slice(0, 17);
+  return `${tableName}_v${stamp}`;
+}
+
+/**
+ * Checks a freshly built table before it goes live:
+ * - row count matches what was written (an empty corpus gives an empty
+ *   table, which has nothing else to check)
+ * - FTS index exists (and the vector index, once the table is big enough)
+ * - smoke queries: an exact search for the probe chunk's vector finds a row
+ *   at distance ~0 (the probe or an identical chunk), its words find something
+ * Throws with the reason on failure.
+ */
+export async function validateTable(store, { expectedRows, probe }) {
+  const rows = await store.table.countRows();
+  if (rows !== expectedRows) {
+    throw new Error(`new table has ${rows} rows, expected ${expectedRows}`);
+  }
+  if (rows === 0) return { rows };
+
+  const indexed = new Set(
+    (await store.table.listIndices()).flatMap((i) => i.columns)
+  );
+  if (!indexed.has(store.ftsColumn)) {
+    throw new Error(`missing FTS index on ${store.ftsColumn}`);
+  }
+  if (rows >= MIN_ROWS_FOR_VECTOR_INDEX && !indexed.has(store.vectorColumn)) {
+    throw new Error(`missing vector index on ${store.vectorColumn}`);
+  }
+
+  // exact search: the ANN index may rank the probe below chunks that share
+  // its vector (a repeated header or title), or miss it altogether
+  const [top] = await store.table
+    .vectorSearch(probe.vector)
+    .column(store.vectorColumn)
+    .distanceType("cosine")
+    .bypassVectorIndex()
+    .select(["id"])
+    .limit(1)
+    .toArray();
+  if (!top || top._distance > PROBE_MAX_DISTANCE) {
+    throw new Error("smoke query: vector search did not find the probe chunk");
+  }
+
+  const words = probe.content.match(/[\p{L}\p{N}]{4,}/gu) || [];
+  if (words.length) {
+    const ftsHits = await store.ftsSearch(words.slice(0, 3).join(" "), {
+      topK: 5,
+    });
+    if (!ftsHits.length) throw new Error("smoke query: FTS returned nothing");
+  }
+
+  return { rows };
+}
+
+/**
+ * Points `tableName` at a validated new version and saves its manifest.
+ * The outgoing version's manifest is archived so it can be rolled back to.
+ * The registry is written before the manifest: if the process dies in
+ * between, the new table is live and only its manifest is stale (verify
+ * --repair fixes that), never the other way round.
+ * Nothing is dropped here; call pruneVersions() once the engine has switched.
+ */
+export async function activateVersion({
+  uri,
+  tableName,
+  version,
+  rows,
+  manifest,
+  manifestPath = DEFAULT_MANIFEST_PATH,
+  logger = console,
+}) {
+  const conn = await lancedb.connect(uri);
+  const registry = await loadRegistry(tableName);
+  const outgoing = registry.active || tableName;
+
+  // the unversioned table of an older setup becomes a rollback target
+  if (
+    !registry.versions.some((v) => v.name === outgoing) &&
+    (await conn.tableNames()).includes(outgoing)
+  ) {
+    registry.versions.push({ name: outgoing, createdAt: null, rows: null });
+  }
+
+  await archiveManifest(manifestPath, outgoing);
+
+  const now = new Date().toISOString();
+  registry.versions.unshift({
+    name: version,
+    createdAt: now,
+    rows,
+    activatedAt: now,
+  });
+  registry.previous = registry.versions.some((v) => v.name === outgoing)
+    ? outgoing
+    : null;
+  registry.active = version;
+
+  await writeJsonAtomic(registryPath(tableName), registry);
+  await saveManifest(manifest, manifestPath);
+
+  logger.info?.(`Table ${tableName} now serves ${version}`);
+  return { active: version, previous: registry.previous };
+}
+
+/**
+ * Drops inactive versions beyond the newest `keep`, with their manifests.
+ * The active and the previous version are always kept: the previous one may
+ * still be serving queries (another process, or an engine that hasn't
+ * reloaded yet) and is the default rollback target.
+ * Returns the dropped names.
+ */
+export async function pruneVersions({
+  uri,
+  tableName,
+  keep = 2,
+  manifestPath = DEFAULT_MANIFEST_PATH,
+  logger = console,
+}) {
+  const registry = await loadRegistry(tableName);
+  const inactive = registry.versions.filter((v) => v.name !== registry.active);
+  const dropped = inactive
+    .slice(Math.max(0, keep))
+    .filter((v) => v.name !== registry.previous);
+  if (dropped.length === 0) return [];
+
+  // unregister first, so the registry never lists a table that is gone
+  registry.versions = registry.versions.filter((v) => !dropped.includes(v));
+  await writeJsonAtomic(registryPath(tableName), registry);
+
+  const conn = await lancedb.connect(uri);
+  for (const v of dropped) {
+    try {
+      await conn.dropTable(v.name);
+    } catch (e) {
+      logger.warn?.(`Could not drop table ${v.name}`, { message: e?.message });
+    }
+    await fs.rm(archivedManifestPath(manifestPath, v.name), { force: true });
+  }
+  return dropped.map((v) => v.name);
+}
+
+/**
+ * Switches `tableName` back to an earlier version (default: the previous one).
+ * Restores that version's manifest (or rebuilds the id list from the table
+ * if it was never archived).
+ */
+export async function rollbackVersion({
+  uri,
+  tableName,
+  version,
+  manifestPath = DEFAULT_MANIFEST_PATH,
+  logger = console,
+}) {
+  const registry = await loadRegistry(tableName);
+  if (!registry.active) {
+    throw httpError("No table versions yet (run a full reindex first)", 409);
+  }
+
+  const target = version || registry.previous;
+  if (!target) throw httpError("No previous version to roll back to", 409);
+  if (target === registry.active) {
+    throw httpError(`${target} is already active`, 409);
+  }
+  if (!registry.versions.some((v) => v.name === target)) {
+    throw httpError(`Unknown table version: ${target}`, 404);
+  }
+
+  const conn = await lancedb.connect(uri);
+  let table;
+  try {
+    table = await conn.openTable(target);
+  } catch {
+    throw httpError(`Table ${target} no longer exists`, 404);
+  }
+
+  const outgoing = registry.active;
+  await archiveManifest(manifestPath, outgoing);
+
+  const archived = archivedManifestPath(manifestPath, target);
+  try {
+    await fs.copyFile(archived, manifestPath);
+  } catch {
+    const rows = await table.query().select(["id"]).toArray();
+    await saveManifest(manifestFromIds(rows.map((r) => r.id)), manifestPath);
+  }
+
+  registry.active = target;
+  registry.previous = outgoing;
+  const entry = registry.versions.find((v) => v.name === target);
+  entry.activatedAt = new Date().toISOString();
+  await writeJsonAtomic(registryPath(tableName), registry);
+
+  logger.info?.(`Table ${tableName} rolled back to ${target}`);
+  return { active: target, previous: outgoing };
+}
+
+async function archiveManifest(manifestPath, version) {
+  try {
+    await fs.mkdir(path.dirname(archivedManifestPath(manifestPath, version)), {
+      recursive: true,
+    });
+    await fs.copyFile(
+      manifestPath,
+      archivedManifestPath(manifestPath, version)
+    );
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+  }
+}
+
+/** For GET /reindex/versions: the registry plus which versions still exist */
+export async function listVersions({ uri, tableName }) {
+  const registry = await loadRegistry(tableName);
+  const existing = new Set(await (await lancedb.connect(uri)).tableNames());
+  return {
+    table: tableName,
+    active: registry.active || tableName,
+    previous: registry.previous,
+    versions: registry.versions.map((v) => ({
+      ...v,
+      active: v.name === (registry.active || tableName),
+      exists: existing.has(v.name),
+    })),
+  };
+}
@@ -0,0 +1,99 @@
+// What it does
+
+// Local tokenizer (js-tiktoken, pure JS, no network)
+
+// cl100k_base is the encoding used by the OpenAI embedding models
+// (text-embedding-3-small / -large, ada-002), so counts match what
+// the embeddings API bills and truncates on.
+
+// Generation models differ (gpt-4o, gpt-4.1, o-series: o200k_base), so
+// token budgets for a model's prompt use encodingNameForModel(model).
+
+// "Sizers" let the chunker measure text either in characters or in tokens:
+// { unit, length(text), head(text, n), tail(text, n), split(text, n) }
+
+import { getEncoding, getEncodingNameForModel } from "js-tiktoken";
+
+export const DEFAULT_ENCODING = "cl100k_base";
+
+const encoders = new Map();
+
+function getEncoder(encoding = DEFAULT_ENCODING) {
+  if (!encoders.has(encoding)) encoders.set(encoding, getEncoding(encoding));
+  return encoders.get(encoding);
+}
+
+/** Encoding of an OpenAI model; DEFAULT_ENCODING for unknown (non-OpenAI) ones */
+export function encodingNameForModel(model) {
+  try {
+    return getEncodingNameForModel(model);
+  } catch {
+    return DEFAULT_ENCODING;
+  }
+}
+
+export function countTokens(text, { encoding = DEFAULT_ENCODING } = {}) {
+  return getEncoder(encoding).encode(String(text)).length;
+}
+
+export const charSizer = {
+  unit: "chars",
+  length: (s) => s.length,
+  head: (s, n) => s.slice(0, n),
+  tail: (s, n) => s.slice(Math.max(0, s.length - n)),
+  split: (s, n) => {
+    const out = [];
+    for (let i = 0; i < s.length; i += n) out.push(s.slice(i, i + n));
+    return out;
+  },
+};
+
+/**
+ * Token sizer. head/tail decode a slice of tokens back to text;
+ * a cut inside a multi-byte character leaves U+FFFD, which we drop.
+ * split cuts the text into pieces of up to n tokens from a single encode,
+ * moving a cut back when it would split a character, so the pieces join up
+ * to the original text.
+ */
+export function tokenSizer({ encoding = DEFAULT_ENCODING } = {}) {
+  const enc = getEncoder(encoding);
+  const clean = (s) => s.replace(/^�+|�+$/g, "");
+
+  return {
+    unit: "tokens",
+    length: (s) => enc.encode(s).length,
+    head: (s, n) => clean(enc.decode(enc.encode(s).slice(0, n))),
+    tail: (s, n) => {
+      const ids = enc.encode(s);
+      return clean(enc.decode(ids.slice(Math.max(0, ids.length - n))));
+    },
+    split: (s, n) => {
+      const ids = enc.encode(s);
+      const out = [];
+      let start = 0;
+      while (start < ids.length) {
+        let end = Math.min(ids.length, start + n);
+        let piece = enc.decode(ids.slice(start, end));
+        while (
+          end < ids.length &&
+          end - start > 1 &&
+          piece.endsWith("\uFFFD")
+        ) {
+          piece = enc.decode(ids.slice(start, --end));
+        }
+        out.push(piece);
+        start = end;
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * unit: "chars" (default) | "tokens"
+ */
+export function getSizer(unit = "chars", { encoding } = {}) {
+  if (unit === "tokens") return tokenSizer({ encoding });
+  if (unit === "chars") return charSizer;
+  throw new Error(`Unknown chunk size unit: ${unit} (use "chars" or "tokens")`);
+}
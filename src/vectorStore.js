@@ -59,10 +59,21 @@
 
 // add(records) appends new rows
 
+// reload({ tableName }) re-opens the table or switches to another version
+
+// The embedding provider/model + dimension are recorded in the table's schema
+// metadata when it is created; checkEmbedding() refuses vectors from another
+// model (indexing and queries)
+
+// listBySource(source) reads one document's chunks back (documents API)
+
+// listRowIds() lists id + contentHash of every row (verifyIndex)
+
 // Each row stored has:
 
 // {
-//   id, source, chunkIndex, content, vector
+//   id, citationId, source, chunkIndex, page, headingPath, tokenCount,
+//   title, tags, owner, product, effectiveDate, content, contentHash, vector
 // }
 
 // C) Indexes
@@ -75,14 +86,17 @@
 
 // D) Retrieval methods
 
-// vectorSearch(queryVector)
+// vectorSearch(queryVector, { filter })
 
 // semantic similarity search
 
-// ftsSearch(queryText)
+// ftsSearch(queryText, { filter })
 
 // keyword/BM25 search (exact words)
 
+// filter = structured filter (sources, metadata, mustInclude — see filters.js),
+// compiled into a LanceDB where predicate (prefilter)
+
 // hybridSearch(queryVector, queryText)
 
 // runs both and merges with RRF
@@ -91,11 +105,16 @@
 
 // performs hybrid search for each query variant
 
-// merges results across variants
+// fuses all variant × retriever lists together (weighted RRF or
+// normalized linear combination, see fusion.js)
+
+// vectorSearchMulti / ftsSearchMulti
+
+// same, for vector-only and keyword-only retrieval modes
 
 // E) Ranking fusion (RRF)
 
-// rrfFuse() merges the ranking lists:
+// rrfFuse() merges the ranking lists (fusion.js has the configurable version):
 
 // vector ranking list
 
@@ -107,6 +126,26 @@
 
 // This file is what makes your project “real vector DB” instead of JSON.
 import * as lancedb from "@lancedb/lancedb";
+import {
+  Schema,
+  Field,
+  Utf8,
+  Int32,
+  Float32,
+  List,
+  FixedSizeList,
+} from "apache-arrow";
+import { METADATA_FIELDS } from "./metadata.js";
+import { compileFilter, matchesFilter, sqlString } from "./filters.js";
+import { fuseRankedLists } from "./fusion.js";
+
+// How many more rows to fetch when part of a filter can only be applied
+// after retrieval (see compileFilter residual)
+const POST_FILTER_OVERFETCH = 4;
+
+// Schema metadata key holding what the vectors were embedded with
+// ({ provider, model, id, dimension }, see embeddingInfo() in embed.js)
+const EMBEDDING_METADATA_KEY = "rag.embedding";
 
 /**
  * LanceVectorStore
@@ -125,6 +164,9 @@ export class LanceVectorStore {
     this.table = table;
     this.vectorColumn = vectorColumn;
     this.ftsColumn = ftsColumn;
+    this.columns = new Set();
+    this.embedding = null; // recorded embedding info (null: older table)
+    this.dimension = null; // vector column size
   }
 
   static async init({
@@ -142,7 +184,7 @@ export class LanceVectorStore {
       table = null;
     }
 
-    return new LanceVectorStore({
+    const store = new LanceVectorStore({
       uri,
       tableName,
       conn,
@@ -150,30 +192,124 @@ export class LanceVectorStore {
       vectorColumn,
       ftsColumn,
     });
+    await store.refreshColumns();
+    return store;
+  }
+
+  /**
+   * Remember which columns the table has, so older tables (created before
+   * a column existed) can still be queried and filtered.
+   */
+  async refreshColumns() {
+    Object.assign(this, await describeTable(this.table, this.vectorColumn));
+  }
+
+  /**
+   * Throws (409) unless vectors from `embedding` ({ id, dimension? }) can be
+   * stored in / searched against this table. Tables created before embedding
+   * info was recorded are only checked by dimension.
+   */
+  checkEmbedding({ id, dimension }) {
+    if (!this.table) return;
+    const built = this.embedding;
+    const idMismatch = built && built.id !== id;
+    const dimMismatch =
+      dimension && this.dimension && dimension !== this.dimension;
+    if (!idMismatch && !dimMismatch) return;
+
+    const have = built
+      ? `${built.id} (${built.dimension}d)`
+      : `${this.dimension}d vectors`;
+    const e = new Error(
+      `Table ${
+        this.tableName
+      } was built with ${have}, but embeddings are now ${id}${
+        dimension ? ` (${dimension}d)` : ""
+      }. Run a full reindex to switch embedding models.`
+    );
+    e.statusCode = 409;
+    throw e;
   }
 
-  async overwrite(records) {
+  /**
+   * Explicit Arrow schema for chunk rows.
+   * Inference can't type empty lists (tags: []) or all-"" batches reliably,
+   * so tables are always created with this schema.
+   */
+  chunkSchema(dim, embedding) {
+    const str = (name) => new Field(name, new Utf8(), true);
+    const int = (name) => new Field(name, new Int32(), true);
+    const strList = (name) =>
+      new Field(name, new List(new Field("item", new Utf8(), true)), true);
+
+    return new Schema(
+      [
+        new Field("id", new Utf8(), false),
+        str("citationId"),
+        str("source"),
+        int("chunkIndex"),
+        int("page"),
+        str("headingPath"),
+        int("tokenCount"),
+        ...Object.entries(METADATA_FIELDS).map(([name, type]) =>
+          type === "string[]" ? strList(name) : str(name)
+        ),
+        str("content"),
+        str("contentHash"),
+        new Field(
+          this.vectorColumn,
+          new FixedSizeList(dim, new Field("item", new Float32(), true)),
+          true
+        ),
+      ],
+      embedding
+        ? new Map([[EMBEDDING_METADATA_KEY, JSON.stringify(embedding)]])
+        : new Map()
+    );
+  }
+
+  /** embedding: recorded with a new table (see checkEmbedding) */
+  async overwrite(records, { embedding } = {}) {
     try {
       await this.conn.dropTable(this.tableName);
     } catch {}
 
     this.table = await this.conn.createTable(this.tableName, records, {
       mode: "overwrite",
+      schema: this.chunkSchema(
+        records[0]?.[this.vectorColumn]?.length ?? embedding?.dimension ?? 0,
+        embedding
+      ),
     });
+    await this.refreshColumns();
   }
 
-  async add(records) {
+  async add(records, { embedding } = {}) {
     if (!this.table) {
       this.table = await this.conn.createTable(this.tableName, records, {
         mode: "create",
+        schema: this.chunkSchema(
+          records[0]?.[this.vectorColumn]?.length ?? embedding?.dimension ?? 0,
+          embedding
+        ),
       });
+      await this.refreshColumns();
       return;
     }
     await this.table.add(records);
   }
 
-  async reload() {
-    this.table = await this.conn.openTable(this.tableName);
+  /**
+   * Re-open the table, or switch to another one (a new blue/green version).
+   * The new table is opened before anything is swapped, so queries keep
+   * using the old one until it is ready.
+   */
+  async reload({ tableName = this.tableName } = {}) {
+    const table = await this.conn.openTable(tableName);
+    const described = await describeTable(table, this.vectorColumn);
+    this.tableName = tableName;
+    this.table = table;
+    Object.assign(this, described);
   }
 
   async ensureIndexes({
@@ -229,134 +365,242 @@ export class LanceVectorStore {
     }
   }
 
-  async vectorSearch(queryVector, { topK = 8 } = {}) {
-    if (!this.table)
-      throw new Error(`LanceDB table not found: ${this.tableName}`);
+  /** id + contentHash of every row (index verification) */
+  async listRowIds() {
+    if (!this.table) return [];
+    const columns = ["id", "contentHash"].filter((c) => this.columns.has(c));
+    const rows = await this.table.query().select(columns).toArray();
+    return rows.map((r) => ({ id: r.id, contentHash: r.contentHash ?? "" }));
+  }
 
+  /**
+   * All chunks of one document (no vectors), in chunk order.
+   * Used by the documents API to show what a source was split into.
+   */
+  async listBySource(source) {
+    if (!this.table) return [];
+
+    const columns = this.selectColumns().filter((c) => c !== this.vectorColumn);
     const rows = await this.table
-      .vectorSearch(queryVector)
-      .column(this.vectorColumn)
-      .distanceType("cosine")
-      .limit(topK)
-      .select([
-        "id",
-        "citationId",
-        "source",
-        "chunkIndex",
-        "content",
-        this.vectorColumn,
-      ])
+      .query()
+      .where(`\`source\` = ${sqlString(source)}`)
+      .select(columns)
       .toArray();
 
+    return rows
+      .map((r) => {
+        const { embeddingUnit, ...item } = this.rowToItem(r);
+        return item;
+      })
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+  }
+
+  selectColumns() {
+    const wanted = [
+      "id",
+      "citationId",
+      "source",
+      "chunkIndex",
+      "page",
+      "headingPath",
+      "tokenCount",
+      ...Object.keys(METADATA_FIELDS),
+      "content",
+      this.vectorColumn,
+    ];
+    return this.columns.size
+      ? wanted.filter((c) => this.columns.has(c))
+      : wanted;
+  }
+
+  /**
+   * Structured filter (see filters.js) → LanceDB where predicate.
+   * Conditions on columns this table doesn't have are returned as residual
+   * and applied after retrieval (with over-fetching) as a fallback.
+   */
+  compileFilter(filter) {
+    return compileFilter(filter, {
+      columns: this.columns.size ? this.columns : null,
+    });
+  }
+
+  async runFiltered(buildQuery, { topK, filter }) {
+    const { where, residual } = this.compileFilter(filter);
+
+    let query = buildQuery(
+      residual.length ? topK * POST_FILTER_OVERFETCH : topK
+    );
+    if (where) query = query.where(where);
+
+    const rows = await query.select(this.selectColumns()).toArray();
+    if (!residual.length) return rows;
+
+    return rows
+      .filter((r) => matchesFilter(this.rowToItem(r), residual))
+      .slice(0, topK);
+  }
+
+  rowToItem(r) {
+    return {
+      id: r.id,
+      citationId: r.citationId ?? `${r.source}#${r.chunkIndex}`,
+      source: r.source,
+      chunkIndex: r.chunkIndex,
+      page: r.page ?? 0,
+      headingPath: r.headingPath ?? "",
+      tokenCount: r.tokenCount ?? 0,
+      ...this.rowMetadata(r),
+      content: r.content,
+      embeddingUnit: r[this.vectorColumn],
+    };
+  }
+
+  rowMetadata(r) {
+    const out = {};
+    for (const [name, type] of Object.entries(METADATA_FIELDS)) {
+      const v = r[name];
+      // list columns come back as Arrow vectors
+      if (type === "string[]") out[name] = v ? Array.from(v) : [];
+      else out[name] = v ?? "";
+    }
+    return out;
+  }
+
+  async vectorSearch(queryVector, { topK = 8, filter } = {}) {
+    if (!this.table)
+      throw new Error(`LanceDB table not found: ${this.tableName}`);
+
+    const rows = await this.runFiltered(
+      (limit) =>
+        this.table
+          .vectorSearch(queryVector)
+          .column(this.vectorColumn)
+          .distanceType("cosine")
+          .limit(limit),
+      { topK, filter }
+    );
+
     return rows.map((r) => ({
-      item: {
-        id: r.id,
-        citationId: r.citationId ?? `${r.source}#${r.chunkIndex}`,
-        source: r.source,
-        chunkIndex: r.chunkIndex,
-        content: r.content,
-        embeddingUnit: r[this.vectorColumn],
-      },
+      item: this.rowToItem(r),
       score: 1 - (r._distance ?? 1),
       _rankSource: "vector",
     }));
   }
 
-  async ftsSearch(queryText, { topK = 8 } = {}) {
+  async ftsSearch(queryText, { topK = 8, filter } = {}) {
     if (!this.table)
       throw new Error(`LanceDB table not found: ${this.tableName}`);
 
-    const rows = await this.table
-      .search(queryText, "fts", [this.ftsColumn])
-      .limit(topK)
-      .select([
-        "id",
-        "citationId",
-        "source",
-        "chunkIndex",
-        "content",
-        this.vectorColumn,
-      ])
-      .toArray();
+    const rows = await this.runFiltered(
+      (limit) =>
+        this.table.search(queryText, "fts", [this.ftsColumn]).limit(limit),
+      { topK, filter }
+    );
 
     return rows.map((r) => ({
-      item: {
-        id: r.id,
-        citationId: r.citationId ?? `${r.source}#${r.chunkIndex}`,
-        source: r.source,
-        chunkIndex: r.chunkIndex,
-        content: r.content,
-        embeddingUnit: r[this.vectorColumn],
-      },
+      item: this.rowToItem(r),
       score: r._score ?? 0,
       _rankSource: "fts",
     }));
   }
 
+  /**
+   * Unweighted RRF over one vector list + one BM25 list
+   * (see fusion.js for the weighted / multi-list / linear strategies)
+   */
   static rrfFuse(vectorHits, ftsHits, { K = 60 } = {}) {
-    const out = new Map();
-
-    const v = [...vectorHits].sort((a, b) => b.score - a.score);
-    const f = [...ftsHits].sort((a, b) => b.score - a.score);
-
-    const addRankScore = (hits, listName) => {
-      hits.forEach((h, idx) => {
-        const rank = idx + 1;
-        const add = 1 / (K + rank);
-
-        const prev = out.get(h.item.id);
-        if (!prev) {
-          out.set(h.item.id, {
-            item: h.item,
-            score: add,
-            _rrf: {
-              vector: listName === "vector" ? add : 0,
-              fts: listName === "fts" ? add : 0,
-            },
-          });
-        } else {
-          prev.score += add;
-          prev._rrf[listName] += add;
-        }
-      });
-    };
-
-    addRankScore(v, "vector");
-    addRankScore(f, "fts");
-
-    return [...out.values()].sort((a, b) => b.score - a.score);
+    return fuseRankedLists(
+      [
+        { hits: vectorHits, list: "vector" },
+        { hits: ftsHits, list: "fts" },
+      ],
+      { strategy: "rrf", K }
+    );
   }
 
-  async hybridSearch(queryVector, queryText, { topK = 8, rrfK = 60 } = {}) {
+  async hybridSearch(
+    queryVector,
+    queryText,
+    { topK = 8, rrfK = 60, filter } = {}
+  ) {
     const [vHits, fHits] = await Promise.all([
-      this.vectorSearch(queryVector, { topK }),
-      this.ftsSearch(queryText, { topK }),
+      this.vectorSearch(queryVector, { topK, filter }),
+      this.ftsSearch(queryText, { topK, filter }),
     ]);
 
     return LanceVectorStore.rrfFuse(vHits, fHits, { K: rrfK }).slice(0, topK);
   }
 
+  /**
+   * Multi-variant retrieval: every (variant × retriever) ranked list is fused
+   * in one go, so chunks that several variants agree on rank higher.
+   * fusion = { strategy, normalization, listWeights, variantWeights } (fusion.js)
+   */
   async hybridSearchMulti(
     variantEmbeds,
     variantTexts,
-    { perQueryTopK = 8, finalTopK = 25, rrfK = 60 } = {}
+    { perQueryTopK = 8, finalTopK = 25, rrfK = 60, filter, fusion } = {}
   ) {
-    const best = new Map();
+    const lists = [];
+    for (let i = 0; i < variantEmbeds.length; i++) {
+      const [vHits, fHits] = await Promise.all([
+        this.vectorSearch(variantEmbeds[i], { topK: perQueryTopK, filter }),
+        this.ftsSearch(variantTexts[i], { topK: perQueryTopK, filter }),
+      ]);
+      lists.push(
+        { hits: vHits, list: "vector", variant: i },
+        { hits: fHits, list: "fts", variant: i }
+      );
+    }
+    return fuseRankedLists(lists, { K: rrfK, ...fusion }).slice(0, finalTopK);
+  }
 
+  async vectorSearchMulti(
+    variantEmbeds,
+    { perQueryTopK = 8, finalTopK = 25, rrfK = 60, filter, fusion } = {}
+  ) {
+    const lists = [];
     for (let i = 0; i < variantEmbeds.length; i++) {
-      const hits = await this.hybridSearch(variantEmbeds[i], variantTexts[i], {
+      const hits = await this.vectorSearch(variantEmbeds[i], {
         topK: perQueryTopK,
-        rrfK,
+        filter,
       });
-
-      for (const h of hits) {
-        const prev = best.get(h.item.id);
-        if (!prev || h.score > prev.score) best.set(h.item.id, h);
-      }
+      lists.push({ hits, list: "vector", variant: i });
     }
+    return fuseRankedLists(lists, { K: rrfK, ...fusion }).slice(0, finalTopK);
+  }
 
-    return [...best.values()]
-      .sort((a, b) => b.score - a.score)
-      .slice(0, finalTopK);
+  /** Keyword-only retrieval: needs no embeddings and no vector index */
+  async ftsSearchMulti(
+    variantTexts,
+    { perQueryTopK = 8, finalTopK = 25, rrfK = 60, filter, fusion } = {}
+  ) {
+    const lists = [];
+    for (let i = 0; i < variantTexts.length; i++) {
+      const hits = await this.ftsSearch(variantTexts[i], {
+        topK: perQueryTopK,
+        filter,
+      });
+      lists.push({ hits, list: "fts", variant: i });
+    }
+    return fuseRankedLists(lists, { K: rrfK, ...fusion }).slice(0, finalTopK);
   }
 }
+
+/** Columns, recorded embedding info and vector size of a table (or none) */
+async function describeTable(table, vectorColumn) {
+  if (!table) return { columns: new Set(), embedding: null, dimension: null };
+
+  const schema = await table.schema();
+  let embedding = null;
+  try {
+    embedding = JSON.parse(schema.metadata.get(EMBEDDING_METADATA_KEY));
+  } catch {}
+
+  return {
+    columns: new Set(schema.fields.map((f) => f.name)),
+    embedding,
+    dimension:
+      schema.fields.find((f) => f.name === vectorColumn)?.type.listSize ?? null,
+  };
+}
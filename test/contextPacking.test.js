@@ -0,0 +1,92 @@
+// What it does
+
+// Unit tests for the token-budgeted context packing (rag/contextPacking.js)
+
+// Run: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// lib.js builds the OpenAI client on import; offline mode needs no key
+process.env.RAG_OFFLINE = "true";
+const { packContext } = await import("../src/rag/contextPacking.js");
+const { countTokens } = await import("../src/tokenizer.js");
+
+const hit = (id, content, score) => ({
+  item: { id, source: `${id}.md`, chunkIndex: 0, content },
+  score,
+});
+
+const words = (n, word) => `${Array(n).fill(word).join(" ")}.`;
+
+test("a chunk too big for the budget is skipped, a smaller one after it is used", () => {
+  const hits = [
+    hit("a", words(40, "alpha"), 3),
+    hit("b", words(400, "bravo"), 2), // one sentence: can't be trimmed
+    hit("c", words(40, "charlie"), 1),
+  ];
+
+  const { selected, usage } = packContext(hits, {
+    budget: 200,
+    minTrimTokens: 20,
+  });
+
+  assert.deepEqual(
+    selected.map((h) => h.item.id),
+    ["a", "c"]
+  );
+  assert.ok(usage.used <= 200);
+  assert.ok(usage.chunks.every((c) => !c.trimmed));
+});
+
+test("only one chunk is trimmed", () => {
+  const long = (word) => Array(20).fill(words(10, word)).join(" ");
+  const hits = [hit("a", long("alpha"), 3), hit("b", long("bravo"), 2)];
+
+  const { selected, usage } = packContext(hits, {
+    budget: 150,
+    minTrimTokens: 20,
+  });
+
+  assert.deepEqual(
+    selected.map((h) => h.item.id),
+    ["a"]
+  );
+  assert.equal(usage.chunks[0].trimmed, true);
+});
+
+test("a top hit without a short enough sentence is cut to the budget", () => {
+  const { selected, context } = packContext(
+    [hit("a", words(400, "alpha"), 1)],
+    {
+      budget: 100,
+    }
+  );
+
+  assert.equal(selected.length, 1);
+  assert.ok(countTokens(context) <= 100);
+});
+
+test("lexical groundedness only counts the packed text as support", async () => {
+  const { verifyGroundedness } = await import("../src/rag/groundedness.js");
+  const content =
+    `${words(30, "filler")} Refunds are issued within thirty days. ` +
+    "Shipping costs are refunded for damaged parcels.";
+  // the block header takes a few tokens: the shipping sentence is trimmed
+  const { blocks, context, usage } = packContext([hit("a", content, 1)], {
+    budget: countTokens(content),
+    minTrimTokens: 5,
+  });
+  assert.ok(usage.chunks[0].trimmed);
+
+  const { claims } = await verifyGroundedness(
+    "Refunds are issued within thirty days. Shipping costs are refunded for damaged parcels.",
+    blocks,
+    { method: "lexical", context }
+  );
+  assert.deepEqual(
+    claims.map((c) => c.supported),
+    [true, false]
+  );
+  assert.equal(claims[0].support, "a.md#0");
+});
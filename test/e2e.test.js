@@ -0,0 +1,387 @@
+// What it does
+
+// End-to-end run of the API in offline mode (RAG_OFFLINE=true): hashed
+// bag-of-words embeddings + the stub LLM, so no API key or network is needed
+// and every answer is deterministic.
+
+// Copies test/fixtures/corpus into a temporary directory, starts the server
+// there (its own data/, .lancedb/ and .cache/), indexes through POST /reindex
+// and checks /ask, /ask/stream, /search paging, filters, mustInclude,
+// incremental add/delete and large JSON uploads.
+
+// Run: npm test
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "test", "fixtures", "corpus");
+const SERVER = path.join(ROOT, "src", "server.js");
+
+const NO_MATCH_ANSWER =
+  "I couldn't find relevant passages that match your filters/keywords in the provided documents.";
+
+let workDir;
+let server;
+let output = "";
+let baseUrl;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function waitForServer(timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) break;
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) return;
+    } catch {}
+    await sleep(250);
+  }
+  throw new Error(`Server did not start:\n${output}`);
+}
+
+async function api(method, route, body) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body ? { "content-type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const ask = async (body) => {
+  const res = await api("POST", "/ask", body);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+};
+
+/** POST /reindex and wait for the job; returns its result */
+async function reindex(mode = "incremental", timeoutMs = 60000) {
+  const started = await api("POST", "/reindex", { mode });
+  assert.equal(started.status, 202, JSON.stringify(started.body));
+
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { body: job } = await api("GET", `/jobs/${started.body.jobId}`);
+    if (job.status === "succeeded") return job.result;
+    if (job.status === "failed" || job.status === "cancelled") {
+      throw new Error(`Reindex job ${job.status}: ${job.error}`);
+    }
+    await sleep(250);
+  }
+  throw new Error("Reindex job did not finish in time");
+}
+
+/** POST /ask/stream; returns the SSE events as [{ event, data }] */
+async function askStream(body) {
+  const res = await fetch(`${baseUrl}/ask/stream`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  assert.equal(res.status, 200);
+  const events = [];
+  for (const block of (await res.text()).split("\n\n")) {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    if (event) events.push({ event, data: data ? JSON.parse(data) : null });
+  }
+  return events;
+}
+
+const sourcesOf = (res) => [...new Set(res.citations.map((c) => c.source))];
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-e2e-"));
+  await fs.cp(FIXTURES, path.join(workDir, "data"), { recursive: true });
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  const env = {
+    ...process.env,
+    RAG_OFFLINE: "true",
+    PORT: String(port),
+    RAG_DATA_DIR: "data",
+    LANCEDB_URI: "./.lancedb",
+    LANCEDB_TABLE: "rag_chunks",
+    RAG_API_KEY: "",
+    RAG_SESSION_STORE: "memory",
+    RAG_RERANKER: "none",
+    RAG_GROUNDEDNESS: "off",
+    RUST_LOG: "error",
+  };
+  delete env.OPENAI_API_KEY; // offline mode must not need it
+
+  server = spawn(process.execPath, [SERVER], {
+    cwd: workDir,
+    env,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  server.stdout.on("data", (d) => (output += d));
+  server.stderr.on("data", (d) => (output += d));
+
+  await waitForServer();
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise((r) => server.once("exit", r));
+    server.kill();
+    await exited;
+  }
+  if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test("full reindex indexes the fixture corpus", async () => {
+  const result = await reindex("full");
+  assert.equal(result.mode, "full");
+  assert.ok(result.added >= 3, `added ${result.added}`);
+  assert.equal(result.embeddings.reused, 0);
+});
+
+test("/ask answers from the matching document with a citation", async () => {
+  const res = await ask({
+    question: "How many days until refunds are issued?",
+  });
+
+  assert.match(res.answer, /Refunds are issued within 30 days of purchase\./);
+  assert.match(res.answer, /\[source: data\/policies\/refunds\.md#0\]/);
+  assert.equal(res.citations[0].source, "data/policies/refunds.md");
+  assert.deepEqual(res.invalidCitations, []);
+});
+
+test("answers are deterministic", async () => {
+  const question = "Does the warranty cover accidental damage?";
+  const first = await ask({ question });
+  const second = await ask({ question });
+
+  assert.equal(first.answer, second.answer);
+  assert.deepEqual(first.sources, second.sources);
+  assert.match(first.answer, /warranty/i);
+});
+
+test("/ask/stream holds deltas until the groundedness check passed", async () => {
+  const question = "When are refunds issued?";
+  const streamed = await askStream({ question, groundedness: "off" });
+  assert.ok(streamed.filter((e) => e.event === "delta").length > 1);
+  const sources = streamed.find((e) => e.event === "sources").data;
+  assert.ok(sources.chunks.length > 0);
+  assert.deepEqual(sources.citations, sources.chunks);
+
+  const checked = await askStream({
+    question,
+    groundedness: "lexical",
+  });
+  const deltas = checked.filter((e) => e.event === "delta");
+  const done = checked.find((e) => e.event === "done");
+  assert.equal(deltas.length, 1);
+  assert.ok(checked.indexOf(deltas[0]) < checked.indexOf(done));
+  assert.equal(deltas[0].data.text, done.data.answer);
+  assert.ok(done.data.groundedness);
+});
+
+test("metadata filters restrict retrieval", async () => {
+  const byTag = await ask({
+    question: "How long does it take?",
+    filters: { tags: ["logistics"] },
+  });
+  assert.deepEqual(sourcesOf(byTag), ["data/shipping.md"]);
+  assert.ok(byTag.sources.every((id) => id.startsWith("data/shipping.md:")));
+
+  const byProduct = await ask({
+    question: "What does the policy cover?",
+    filters: { product: "pro" },
+  });
+  assert.ok(byProduct.sources.length > 0);
+  assert.ok(
+    byProduct.sources.every((id) => !id.startsWith("data/shipping.md:")),
+    JSON.stringify(byProduct.sources)
+  );
+
+  const byPrefix = await ask({
+    question: "refunds",
+    filters: { sourcePrefix: "data/policies/" },
+  });
+  assert.deepEqual(sourcesOf(byPrefix), ["data/policies/refunds.md"]);
+});
+
+test("mustInclude keeps only chunks containing the keywords", async () => {
+  const res = await ask({
+    question: "What is covered?",
+    mustInclude: ["warranty"],
+  });
+  assert.ok(res.sources.length > 0);
+  assert.ok(res.sources.every((id) => id.startsWith("data/warranty.txt:")));
+
+  const none = await ask({
+    question: "What is covered?",
+    mustInclude: ["teleportation"],
+  });
+  assert.equal(none.answer, NO_MATCH_ANSWER);
+  assert.deepEqual(none.sources, []);
+});
+
+test("incremental reindex picks up an added document", async () => {
+  await fs.writeFile(
+    path.join(workDir, "data", "support.md"),
+    "# Support\n\nSupport answers email within four hours on weekdays.\n"
+  );
+
+  const result = await reindex();
+  assert.equal(result.mode, "incremental");
+  assert.ok(result.added > 0, `added ${result.added}`);
+  assert.equal(result.deleted, 0);
+  assert.equal(result.skipped, 3);
+
+  const res = await ask({ question: "How fast does support answer email?" });
+  assert.ok(sourcesOf(res).includes("data/support.md"), res.answer);
+  assert.match(res.answer, /within four hours/);
+});
+
+test("incremental reindex removes a deleted document", async () => {
+  await fs.rm(path.join(workDir, "data", "support.md"));
+
+  const result = await reindex();
+  assert.ok(result.deleted > 0, `deleted ${result.deleted}`);
+  assert.equal(result.added, 0);
+
+  const res = await ask({ question: "How fast does support answer email?" });
+  assert.ok(!sourcesOf(res).includes("data/support.md"));
+
+  const { body } = await api("GET", "/documents");
+  assert.ok(!body.documents.some((d) => d.source === "data/support.md"));
+});
+
+test("an unchanged corpus is skipped entirely", async () => {
+  const result = await reindex();
+  assert.equal(result.added, 0);
+  assert.equal(result.deleted, 0);
+  assert.equal(result.skipped, 3);
+});
+
+test("/search pages past the default candidate pool are filled", async () => {
+  const topics = [
+    "invoices",
+    "passwords",
+    "exports",
+    "webhooks",
+    "backups",
+    "themes",
+    "quotas",
+    "audits",
+    "tokens",
+    "mirrors",
+    "archives",
+    "billing",
+  ];
+  await fs.writeFile(
+    path.join(workDir, "data", "paging.md"),
+    topics
+      .map((t, i) => `## Paging ${i + 1}\n\nPaging covers ${t} in detail.\n`)
+      .join("\n")
+  );
+  await reindex();
+
+  const page = (offset) =>
+    api("POST", "/search", {
+      question: "paging",
+      retrievalMode: "fts",
+      offset,
+      limit: 5,
+    });
+  const first = await page(0);
+  const second = await page(5);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(second.status, 200, JSON.stringify(second.body));
+
+  const ids = (res) => res.body.hits.map((h) => h.id);
+  assert.equal(first.body.hits.length, 5);
+  assert.equal(second.body.hits.length, 5, JSON.stringify(second.body));
+  assert.ok(ids(second).every((id) => !ids(first).includes(id)));
+  assert.ok(second.body.retrieved >= 10, JSON.stringify(second.body));
+});
+
+test("POST /documents accepts JSON uploads over 1 MB", async () => {
+  const line = "Bulk upload line about archived shipping manifests.\n";
+  const text = line.repeat(Math.ceil((1024 * 1024) / line.length));
+  const res = await api("POST", "/documents", {
+    path: "bulk.txt",
+    base64: Buffer.from(text).toString("base64"),
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  assert.ok(res.body.index.added > 0);
+});
+
+test("renaming a parent heading re-indexes the chunks under it", async () => {
+  const file = path.join(workDir, "data", "handbook.md");
+  const doc = (title) =>
+    `# ${title}\n\nHandbook intro.\n\n## Partial\n\nPartial handbook refunds take five days.\n`;
+  await fs.writeFile(file, doc("Refunds"));
+  await reindex();
+
+  await fs.writeFile(file, doc("Returns"));
+  const result = await reindex();
+  assert.ok(result.added > 0 && result.deleted > 0, JSON.stringify(result));
+
+  const { body } = await api("GET", "/documents/data/handbook.md");
+  assert.deepEqual(body.chunkList.map((c) => c.headingPath).sort(), [
+    "Returns",
+    "Returns > Partial",
+  ]);
+});
+
+test("replacing a document without metadata drops its sidecar", async () => {
+  const upload = (metadata) =>
+    api("POST", "/documents", {
+      path: "warranty.md",
+      text: "Warranty claims are handled by the repairs desk.\n",
+      metadata,
+    });
+  const byProduct = () =>
+    ask({ question: "warranty claims", filters: { product: "warranty" } });
+
+  assert.equal((await upload({ product: "warranty" })).status, 201);
+  assert.deepEqual(sourcesOf(await byProduct()), ["data/warranty.md"]);
+
+  assert.equal((await upload()).status, 200);
+  await assert.rejects(
+    fs.stat(path.join(workDir, "data/warranty.md.meta.json"))
+  );
+  assert.deepEqual(sourcesOf(await byProduct()), []);
+});
+
+// keep last: it empties the corpus
+test("a full rebuild of an empty corpus succeeds", async () => {
+  const dataDir = path.join(workDir, "data");
+  for (const entry of await fs.readdir(dataDir)) {
+    await fs.rm(path.join(dataDir, entry), { recursive: true });
+  }
+
+  const result = await reindex("full");
+  assert.equal(result.added, 0);
+  assert.equal(result.chunksCount, 0);
+
+  const res = await ask({
+    question: "How many days until refunds are issued?",
+  });
+  assert.deepEqual(res.sources, []);
+});